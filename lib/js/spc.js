@@ -40,6 +40,35 @@ function spc(selector, data, options) {
         // NOTE: This is only used if bCount is true
         bConstant: false,
 
+        // NOTE: When the area of opportunity is not constant, each
+        // count should be given with its sample size in the data as
+        // `{count: 3, size: 120}` instead of a plain number.
+
+        // Do the counts describe rare events?  If so, the data keys are
+        // the timestamps of each event.
+        // NOTE: This is only used if bCount is true
+        bRare: false,
+
+        // Measure rare events by the time between them (t chart) rather
+        // than by the whole number of opportunities between them (g chart)
+        // NOTE: This is only used if bRare is true
+        bTimeBetween: false,
+
+        // The unit of time between rare events, and the weibull shape of
+        // the times between them (1 is exponential) for the t chart
+        eventUnit: 'days',
+        eventShape: 1,
+
+        // Switch p and u charts to Laney p' and u' charts when the data
+        // is overdispersed, which is when the variation between subgroups
+        // (sigma z) is larger than the overdispersion ratio
+        bOverdispersion: false,
+        overdispersionRatio: 1.5,
+
+        // The constant sample size for count data. The group size
+        // will be used for np charts if this is not specified.
+        sampleSize: null,
+
         // What is the title to display over the chart? Null or empty
         // string will hide the title block
         title: null,
@@ -62,12 +91,112 @@ function spc(selector, data, options) {
         // Override the group sizes
         groupSize: null,
 
+        // Subgroups larger than this size will use x-bar & s charts
+        // rather than x-bar & r charts
+        sGroupSize: 10,
+
+        // The span of the moving window for moving average charts
+        movingSpan: 4,
+
+        // The smoothing constant (lambda) and the width of the control
+        // limits in sigma units (L) to use for the ewma chart
+        ewmaLambda: 0.2,
+        ewmaL: 3,
+
+        // The reference value (k) and the decision interval (h), both in
+        // sigma units, to use for the cusum chart
+        cusumK: 0.5,
+        cusumH: 5,
+
+        // The known process mean and standard deviation.  These will be
+        // estimated from the data if they are not specified.
+        processMean: null,
+        processSigma: null,
+
         // Specify the line interpolation to use in the charts.  Default is
         // "monotone" which gives slightly rounded edges, but maintains
         // fidelity to your data.  Use "basis" for low fidelity, highly rounded
         // edges or "linear" for perfect fidelity lines with no rounding.
         interpolation: 'cardinal',
 
+        // Draw the 1 and 2 sigma warning lines, and shade the A, B and C
+        // sigma zones, on each chart
+        bWarningLines: false,
+        bZones: false,
+
+        // The set of rules to use when testing for special cause variation:
+        // 'default', 'nelson', 'weco', 'aiag' or 'montgomery'
+        rules: 'default',
+
+        // Override the tests from the rule set to run, i.e. `[1,2,5]`.
+        // Custom rules from `spc.registerRule` are included by their id.
+        tests: null,
+
+        // Override the parameters of the rule set, i.e. `{runLength: 9}`.
+        // Parameters are runLength, trendLength, stratificationLength,
+        // mixtureLength, alternatingLength and runsAlpha.
+        ruleParams: null,
+
+        // Recalculate the central line and control limits from each of
+        // these points onward, i.e. after a process change.  Phase breaks
+        // are given as data keys or indices.
+        phases: null,
+
+        // Search the data for points where the process mean or variance
+        // changed, and use them as phase breaks.  Changes must have a
+        // p-value below the alpha, and each phase must have at least
+        // the minimum number of points.
+        bAutoPhases: false,
+        changeAlpha: 0.01,
+        changeMinSize: 8,
+
+        // Specification limits and target for the measure, drawn over
+        // the means chart.  Points with values outside of the
+        // specification limits are flagged as exceptions.
+        usl: null,
+        lsl: null,
+        target: null,
+
+        // Transformation applied to non-normal measures before charting
+        // and capability analysis, either 'boxcox' or 'johnson'.  The
+        // Box-Cox lambda is fitted by maximum likelihood unless given.
+        // The Johnson family is selected from the quantiles at +/- 1
+        // and 3 times johnsonZ (Slifker and Shapiro), which is chosen
+        // to best normalize the data unless given.
+        transform: null,
+        boxCoxLambda: null,
+        johnsonZ: null,
+
+        // Histogram bins, given as a number of bins or an array of bin
+        // thresholds.  Otherwise the bin width is chosen with the
+        // Freedman-Diaconis rule ('fd') or Sturges' formula ('sturges').
+        bins: null,
+        binMethod: 'fd',
+
+        // Alpha of the pointwise confidence bands of the normal
+        // probability plot
+        probabilityAlpha: 0.05,
+
+        // Test of normality used to decide between charts, either
+        // 'shapiro-wilk' or 'anderson-darling', and the significance
+        // level at which the data is rejected as not normal
+        normalityTest: 'shapiro-wilk',
+        normalityAlpha: 0.05,
+
+        // Capability analysis refuses a process that is out of
+        // statistical control unless forced, in which case it warns.
+        // Alpha sets the confidence level of the Cpk interval.
+        bForceCapability: false,
+        capabilityAlpha: 0.05,
+
+        // Points to leave out of the central line and control limit
+        // calculations, given as data keys or chart point indices.  They
+        // are still plotted.  Recalculating repeatedly excludes points
+        // outside of the limits and recalculates until none are left.
+        // NOTE: This is only used for x-bar and individuals charts
+        exclude: null,
+        bRecalculate: false,
+
         // Override the central line value (mean) or control limits to use for the xbar & r chart
         xCL: null,
         xUCL: null,
@@ -95,11 +224,24 @@ function spc(selector, data, options) {
         // Prepare data
         data = parseData(data);
 
+        // Suggested phase breaks are found before charting, so that
+        // the limits can be recalculated from each of them
+        if (options.bAutoPhases) {
+            local.changePoints = changePoints(local.values);
+        }
+
+        // Measures are tested for normality even when the chart type
+        // is specified, so that the result is available with the data
+        if (!options.bCount) {
+            local.data.normality = normalityTest(local.values);
+        }
+
         // If the chart type is specified, no need to go through
         // the following decision tree
-        // NOTE: Groupsize MUST be specified if this is the case
+        // NOTE: Groupsize MUST be specified if this is the case,
+        // unless the data describes a count
         if (options.chart) {
-            if (!options.groupSize) {
+            if (!options.groupSize && !options.bCount) {
                 throw "Group size must be set!";
             }
 
@@ -117,6 +259,28 @@ function spc(selector, data, options) {
         // Measures are treated differently than counts
         if (options.bCount) {
             local.verbose('Using attribute data (counts).');
+
+            // Rare events are charted by the spacing between events
+            // rather than the counts, which would be mostly zeros
+            if (options.bRare) {
+                local.verbose('Counting rare events.');
+
+                if (options.bTimeBetween) {
+                    local.verbose('Measuring time between events.');
+
+                    // Create t chart
+                    local.tChart();
+
+                } else {
+                    local.verbose('Measuring opportunities between events.');
+
+                    // Create g chart
+                    local.gChart();
+                }
+
+                return;
+            }
+
             // Specify whether we're counting defectives (i.e. on-time
             // or late) or defects (i.e. errors)
             if (options.bDefect) {
@@ -161,7 +325,7 @@ function spc(selector, data, options) {
 
             // Whether or not the data is bell-shaped
             // will determine how we organize or data.
-            if (bBellShaped(local.values)) {
+            if (bBellShaped(local.data.normality)) {
                 local.verbose('Data is bell-shaped.');
 
                 // Slowly evolving data means that individual &
@@ -176,8 +340,8 @@ function spc(selector, data, options) {
                 } else {
                     local.verbose('Data is not slowly evolving.');
 
-                    // Create standard x-Bar & R charts
-                    local.xBarRChart();
+                    // Create standard x-Bar & R (or S) charts
+                    xBarChart();
                 }
 
             } else {
@@ -185,19 +349,20 @@ function spc(selector, data, options) {
 
                 // Again, slowly evolving data means that moving
                 // x-bar and moving R charts should be used.  Otherwise,
-                // standard x-bar and R charts should be used.
-                if (bSlowlyEvolving(local.values, [3,5])) {
+                // standard x-bar and R (or S) charts should be used.
+                // Skewed data can need large subgroups before their
+                // means are normal, which are charted with an S chart.
+                if (bSlowlyEvolving(local.values, [3,25])) {
                     local.verbose('Data is slowly evolving.');
 
-                    // Create standard x-Bar & R charts
-                    local.groupSize = 4;
+                    // Create moving x-Bar & R charts
                     local.movingXBarRChart();
 
                 } else {
                     local.verbose('Data is not slowly evolving.');
 
-                    // Create standard x-Bar & R charts
-                    local.xBarRChart();
+                    // Create standard x-Bar & R (or S) charts
+                    xBarChart();
                 }
             }
         }
@@ -214,9 +379,24 @@ function spc(selector, data, options) {
         local.verbose('Parsing data...');
 
         local.keys = d3.keys(data);
-        local.values = d3.values(data);
+        local.rawValues = d3.values(data);
+
+        local.verbose(' - values: ' + JSON.stringify(local.rawValues));
 
-        local.verbose(' - values: ' + JSON.stringify(local.values));
+        // Non-normal measures are charted on the transformed scale and
+        // displayed on the original scale.  The transformation is fitted
+        // again to each new set of data.
+        local.transform = (options.transform && !options.bCount) ? transformation(local.rawValues) : null;
+        local.values = local.transform ? local.rawValues.map(local.transform.forward) : local.rawValues;
+
+        // Counts may be specified along with the size of their area
+        // of opportunity, i.e. `{count: 3, size: 120}`
+        local.counts = local.values.map(function(d) {
+            return _.isObject(d) ? d.count : d;
+        });
+        local.sizes = local.values.map(function(d) {
+            return _.isObject(d) ? d.size : options.sampleSize;
+        });
 
         local.data = {
             means: {
@@ -228,18 +408,31 @@ function spc(selector, data, options) {
                 cl: 0,
                 ul: [],
                 ll: [],
-                exceptions: []
+                sigma: null,
+                levels: null,
+                exceptions: [],
+                rules: null,
+                phases: null,
+                excluded: null
             },
+            normality: null,
+            subgroupNormality: null,
             ranges: {
                 values: [],
                 n: 0,
                 min: 0,
                 max: 0,
                 chart: 'R',
+                points: null,
                 cl: 0,
                 ul: [],
                 ll: [],
-                exceptions: []
+                sigma: null,
+                levels: null,
+                exceptions: [],
+                rules: null,
+                phases: null,
+                excluded: null
             },
             n: local.values.length
         };
@@ -250,28 +443,24 @@ function spc(selector, data, options) {
     }
 
 
-    // Determine if the data is bellshaped (normal)
-    function bBellShaped(array) {
-        // Using a p-value of 0.05 for null hypothesis,
-        // we are going to use the Shapiro-Wilk test for
-        // normality.
-
-        // Be sure to use underscore's clone method here. Otherwise,
-        // the Shapiro Wilk test will sort the actual data.
-        var clone = _.clone(array);
-
-        // This is the threshhold for the test associated
-        // with the 0.05 p-value.
-        var threshhold = 0.7879999876022339;
-
+    // Determine if the data is bellshaped (normal), from the result of
+    // its normality test
+    function bBellShaped(result) {
         local.verbose('Testing for normality...');
 
-        var W = ShapiroWilkW(clone),
-            passString = (W >= threshhold) ? 'passes.' : 'fails.';
+        if (!result) {
+            local.verbose(' - Too few or too many values to test.');
+            return false;
+        }
+
+        local.verbose(' - ' + result.test + ' (normal): ' + result.statistic + ', p: ' + result.p + ', ' +
+            (result.bNormal ? 'passes.' : 'fails.'));
 
-        local.verbose(' - W (normal): ' + W + ', ' + passString);
+        if (!result.bNormal) {
+            local.verbose(' - See probabilityPlot() for where the data departs from normal.');
+        }
 
-        return W >= threshhold;
+        return result.bNormal;
     }
 
 
@@ -301,10 +490,17 @@ function spc(selector, data, options) {
             // we can say that the subgroup size is sufficient.  But if
             // not, then we should increase the subgroup size and try again.
 
+            // The test of the means is kept with the data apart from the
+            // test of the values themselves, along with its subgroup size.
             var subgroups = subgroup(values, i),
                 means = subgroupMeans(subgroups);
 
-            if (bBellShaped(means)) {
+            local.data.subgroupNormality = {
+                groupSize: i,
+                result: normalityTest(means)
+            };
+
+            if (bBellShaped(local.data.subgroupNormality.result)) {
                 local.verbose(' - Normally distributed means at subgroup size ' + i + '. Data is not slowly evolving.');
                 local.groupSize = i;
                 return false;
@@ -375,369 +571,2619 @@ function spc(selector, data, options) {
     }
 
 
-    // Organize data into defective groups of specified size
-    // and use standard unit groupings if specified
-    function defectiveGroup(size, bStandardUnit) {
-        local.verbose('Adjusting defects into subgroups with ' + size + 'defects in each...');
-
-    }
+    // Return array of sample standard deviations from an array of subgroups
+    function subgroupStdDevs(array) {
+        local.verbose('Calculating standard deviations from subgroups...');
 
-    function chartFactors(factor, n) {
+        var retArr = [];
 
-        var factors = {
-            A2: {
-                1: 2.66, 2: 1.88, 3: 1.02, 4: 0.73, 5: 0.58, 7: 0.42, 10: 0.31
-            },
-            D2: {
-                2: 1.10, 3: 1.69, 4: 2.06, 5: 2.33, 7: 2.70, 10: 3.08
-            },
-            D3: {
-                2: 0, 3: 0, 4: 0, 5: 0, 7: 0.08, 10: 0.22
-            },
-            D4: {
-                2: 3.27, 3: 2.58, 4: 2.28, 5: 2.12, 7: 1.92, 10: 1.78
-            }
-        };
+        for (var i = 0; i < array.length; i++) {
+            retArr.push(sampleStdDev(array[i]));
+        }
 
-        return factors[factor][n];
+        return retArr;
     }
 
 
-    /*
-     *  CHARTS
-     */
+    // Organize each phase of the data into subgroups separately, as
+    // subgroups never span phases.  A phase that doesn't end on a whole
+    // subgroup leaves its incomplete last subgroup out, since the chart
+    // factors are for subgroups of the full size.  Returns the subgroups,
+    // the index of the first subgroup of each phase and the data index
+    // where each subgroup starts.
+    function phaseSubgroups() {
+        var retObj = { groups: [], starts: [], groupStarts: [] };
 
-    // Generate a standard xBar and R chart
-    local.xBarRChart = function() {
-        local.verbose('Generating xBar & R chart...');
+        phaseRanges().forEach(function(phase, p) {
+            var phaseGroups = subgroup(local.values.slice(phase[0], phase[1]), local.groupSize),
+                remainder = (phase[1] - phase[0]) % local.groupSize;
 
-        var xCL, xUL, xLL, rCL, rUL, rLL,
-            groups = subgroup(local.values, local.groupSize),
-            means = subgroupMeans(groups),
-            ranges = subgroupRanges(groups);
+            if (remainder > 0) {
+                phaseGroups.pop();
+                local.verbose(' - Leaving out the incomplete subgroup of ' + remainder + ' value(s) at the end of phase ' + (p + 1) + '.');
+            }
 
-        local.data.means.values = means;
-        local.data.means.chart = 'xBar';
-        local.data.means.n = local.data.means.values.length;
+            if (phaseGroups.length === 0) {
+                throw "Phase " + (p + 1) + " is too short for a subgroup of size " + local.groupSize + ".";
+            }
 
-        local.data.ranges.values = ranges;
-        local.data.ranges.chart = 'R';
-        local.data.ranges.n = local.data.ranges.values.length;
+            retObj.starts.push(retObj.groups.length);
 
+            phaseGroups.forEach(function(group, i) {
+                retObj.groups.push(group);
+                retObj.groupStarts.push(phase[0] + i * local.groupSize);
+            });
+        });
 
-        // Establish the central lines and the control limit values
-        // for the means and ranges charts.
-        // NOTE: control limits can be overridden by `options.[control]`
-        xCL = local.data.means.cl = options.xCL || _.sum(means) / groups.length;
-        rCL = local.data.ranges.cl = options.rCL || _.sum(ranges) / groups.length;
+        return retObj;
+    }
 
-        xUL = local.data.means.ul = options.xUL || xCL + chartFactors('A2', local.groupSize) * rCL;
-        xLL = local.data.means.ll = options.xLL || xCL - chartFactors('A2', local.groupSize) * rCL;
-        xUL = local.data.means.ul = makeArrayOf(xUL, local.data.means.n);
-        xLL = local.data.means.ll = makeArrayOf(xLL, local.data.means.n);
 
-        rUL = local.data.ranges.ul = options.rUL || chartFactors('D4', local.groupSize) * rCL;
-        rLL = local.data.ranges.ll = options.rLL || chartFactors('D3', local.groupSize) * rCL;
-        rUL = local.data.ranges.ul = makeArrayOf(rUL, local.data.ranges.n);
-        rLL = local.data.ranges.ll = makeArrayOf(rLL, local.data.ranges.n);
+    // Return the [start, end) data index of each phase, splitting the
+    // data at the phase breaks given in `options.phases`
+    function phaseRanges() {
+        var suggested = (options.bAutoPhases) ? _.pluck(local.changePoints || [], 'index') : [],
+            breaks = (options.phases || []).concat(suggested).map(function(d) {
+                var index = _.isNumber(d) ? d : _.indexOf(local.keys, d);
 
+                if (index < 0 || index >= local.values.length) {
+                    throw "Specified phase break does not exist.";
+                }
 
-        // Specify the min and max of each set, considering the control limits as well
-        local.data.means.max = d3.max([d3.max(local.data.means.values), d3.max(local.data.means.ul)]);
-        local.data.means.min = d3.min([d3.min(local.data.means.values), d3.min(local.data.means.ll)]);
-        local.data.ranges.max = d3.max([d3.max(local.data.ranges.values), d3.max(local.data.ranges.ul)]);
-        local.data.ranges.min = d3.min([d3.min(local.data.ranges.values), d3.min(local.data.ranges.ll)]);
+                return index;
+            }),
+            bounds = _.uniq([0].concat(breaks, [local.values.length]).sort(function(a, b) {
+                return a - b;
+            }), true);
 
-        local.data.means.exceptions = variationTest(means, xCL, xUL, xLL);
-        local.data.ranges.exceptions = variationTest(ranges, rCL, rUL, rLL);
+        return _.range(bounds.length - 1).map(function(i) {
+            return [bounds[i], bounds[i + 1]];
+        });
+    }
 
-        chartSetup();
 
-        drawLines();
-    };
+    // Search for points where the process mean or variance changed, using
+    // binary segmentation.  Each segment is tested for a change in mean
+    // using the cumulative sum of deviations from its mean, then for a
+    // change in variance using the cumulative sum of squared deviations
+    // (Inclan & Tiao).  Both statistics are compared against the
+    // Kolmogorov distribution.  When a significant change is found, the
+    // segment is split there and both halves are searched again.
+    function changePoints(values) {
+        local.verbose('Searching for process changes...');
 
-    // Generate a moving average and moving range chart
-    local.movingXBarRChart = function() {
-        local.verbose('Generating moving avg and moving range chart...');
+        var found = [],
+            minSize = options.changeMinSize;
 
-        var xCL, xUL, xLL, rCL, rUL, rLL,
-            groups = movingSubgroup(local.values, local.groupSize),
-            means = subgroupMeans(groups),
-            ranges = subgroupRanges(groups);
+        // Test a statistic at every possible split of the segment and
+        // return the most likely split
+        var bestSplit = function(segment, statistic) {
+            var best = { k: null, value: 0 };
 
-        local.data.means.values = means;
-        local.data.means.chart = 'mX';
-        local.data.means.n = local.data.means.values.length;
+            for (var k = minSize; k <= segment.length - minSize; k++) {
+                var value = Math.abs(statistic[k - 1]);
 
-        local.data.ranges.values = ranges;
-        local.data.ranges.chart = 'mR';
-        local.data.ranges.n = local.data.ranges.values.length;
+                if (value > best.value) {
+                    best = { k: k, value: value };
+                }
+            }
 
+            return best;
+        };
 
-        // Establish the central lines and the control limit values
-        // for the means and ranges charts.
-        // NOTE: control limits can be overridden by `options.[control]`
-        xCL = local.data.means.cl = options.xCL || _.sum(means) / groups.length;
-        rCL = local.data.ranges.cl = options.rCL || _.sum(ranges) / groups.length;
+        var search = function(start, end) {
+            var segment = values.slice(start, end),
+                n = segment.length,
+                mean = _.mean(segment),
+                sigma = _.mean(movingRanges(segment)) / chartFactors('D2', 2),
+                sums = [],
+                squares = [],
+                total = 0,
+                sum = 0,
+                squareSum = 0,
+                split, p, type;
+
+            if (n < 2 * minSize || !sigma) {
+                return;
+            }
 
-        xUL = local.data.means.ul = options.xUL || xCL + chartFactors('A2', local.groupSize) * rCL;
-        xLL = local.data.means.ll = options.xLL || xCL - chartFactors('A2', local.groupSize) * rCL;
-        xUL = local.data.means.ul = makeArrayOf(xUL, local.data.means.n);
-        xLL = local.data.means.ll = makeArrayOf(xLL, local.data.means.n);
+            for (var i = 0; i < n; i++) {
+                total += Math.pow(segment[i] - mean, 2);
+            }
 
-        rUL = local.data.ranges.ul = options.rUL || chartFactors('D4', local.groupSize) * rCL;
-        rLL = local.data.ranges.ll = options.rLL || chartFactors('D3', local.groupSize) * rCL;
-        rUL = local.data.ranges.ul = makeArrayOf(rUL, local.data.ranges.n);
-        rLL = local.data.ranges.ll = makeArrayOf(rLL, local.data.ranges.n);
+            for (i = 0; i < n; i++) {
+                sum += segment[i] - mean;
+                squareSum += Math.pow(segment[i] - mean, 2);
 
+                sums.push(sum / (sigma * Math.sqrt(n)));
+                squares.push(Math.sqrt(n / 2) * (squareSum / total - (i + 1) / n));
+            }
 
-        // Specify the min and max of each set, considering the control limits as well
-        local.data.means.max = d3.max([d3.max(local.data.means.values), d3.max(local.data.means.ul)]);
-        local.data.means.min = d3.min([d3.min(local.data.means.values), d3.min(local.data.means.ll)]);
-        local.data.ranges.max = d3.max([d3.max(local.data.ranges.values), d3.max(local.data.ranges.ul)]);
-        local.data.ranges.min = d3.min([d3.min(local.data.ranges.values), d3.min(local.data.ranges.ll)]);
+            // The sigma used for the change in mean is estimated from the
+            // moving range, so that the shift itself doesn't inflate it
+            split = bestSplit(segment, sums);
+            p = kolmogorovP(split.value);
+            type = 'mean';
 
-        local.data.means.exceptions = variationTest(means, xCL, xUL, xLL);
-        local.data.ranges.exceptions = variationTest(ranges, rCL, rUL, rLL);
+            if (split.k === null || p >= options.changeAlpha) {
+                split = bestSplit(segment, squares);
+                p = kolmogorovP(split.value);
+                type = 'variance';
+            }
 
-        chartSetup();
+            if (split.k === null || p >= options.changeAlpha) {
+                return;
+            }
 
-        drawLines();
-    };
+            local.verbose(' - Change in ' + type + ' at ' + local.keys[start + split.k] + ' (p = ' + p + ')');
 
-    // Generate an individuals and moving range chart
-    local.indivMovingRangeChart = function() {
-        local.verbose('Generating individuals and moving range chart...');
+            found.push({
+                index: start + split.k,
+                key: local.keys[start + split.k],
+                type: type,
+                p: p
+            });
 
-    };
+            search(start, start + split.k);
+            search(start + split.k, end);
+        };
 
-    // Generate an np chart
-    local.npChart = function() {
-        local.verbose('Generating np chart...');
+        search(0, values.length);
 
-    };
+        return _.sortBy(found, 'index');
+    }
 
-    // Generate p chart
-    local.pChart = function() {
-        local.verbose('Generating p chart...');
 
-    };
+    // Establish the central line and control limits of each phase of a
+    // set, and test each phase for special cause variation separately so
+    // that runs don't carry over from one phase to the next.  The limits
+    // function is given the values of a phase and its index, and returns
+    // its central line, control limits and the sigma of its points (as
+    // values or arrays).  If the set has excluded points, they are left
+    // out of the values given to the limits function, which must then
+    // return single limit values.  When recalculating, the points outside
+    // of the limits are excluded as well until there are none left.
+    function phasedLimits(set, starts, limits, testArray, bRecalculate) {
+        var phases = phaseRanges();
+
+        set.ul = [];
+        set.ll = [];
+        set.sigma = [];
+        set.exceptions = [];
+        set.phases = [];
+
+        for (var p = 0; p < starts.length; p++) {
+            var start = starts[p],
+                end = (p + 1 < starts.length) ? starts[p + 1] : set.n,
+                values = set.values.slice(start, end),
+                phase, ul, ll, sigma, outside;
+
+            if (starts.length > 1) {
+                local.verbose(' - Phase ' + (p + 1) + ' (from ' + local.keys[phases[p][0]] + ')...');
+            }
 
-    // Generate c chart
-    local.cChart = function() {
-        local.verbose('Generating c chart...');
+            // i.e. a phase of a single value has no moving ranges
+            if (values.length === 0) {
+                throw "Phase " + (p + 1) + " is too short to establish its limits.";
+            }
 
-    };
+            // Calculate the limits without the excluded points.  When
+            // recalculating, exclude the points outside of those limits
+            // and calculate them again until there are none left.
+            do {
+                if (set.excluded && set.excluded.length > 0 && !values.some(bIncluded)) {
+                    throw "Every point of phase " + (p + 1) + " is excluded from the limits.";
+                }
 
-    // Generate u chart
-    local.uChart = function() {
-        local.verbose('Generating u chart...');
+                phase = limits(set.excluded ? values.filter(bIncluded) : values, p);
+                ul = _.isArray(phase.ul) ? phase.ul : makeArrayOf(phase.ul, values.length);
+                ll = _.isArray(phase.ll) ? phase.ll : makeArrayOf(phase.ll, values.length);
+                sigma = _.isArray(phase.sigma) ? phase.sigma : makeArrayOf(phase.sigma, values.length);
 
-    };
+                outside = [];
 
-    // Draw chart lines
-    function drawLines() {
+                if (set.excluded && bRecalculate) {
+                    outside = _.range(start, end).filter(function(i) {
+                        return !_.contains(set.excluded, i) && (set.values[i] > ul[i - start] || set.values[i] < ll[i - start]);
+                    });
 
-        local.meansGenerator = d3.svg.line()
-            .interpolate(options.interpolation)
-            .x(function (d,i) {
-                return local.mean.x(i);
-            })
-            .y(function (d) {
-                return local.mean.y(d);
+                    set.excluded = set.excluded.concat(outside);
+                }
+            } while (outside.length > 0);
+
+            set.ul = set.ul.concat(ul);
+            set.ll = set.ll.concat(ll);
+            set.sigma = set.sigma.concat(sigma);
+            set.exceptions = set.exceptions.concat(variationTest(values, phase.cl, ul, ll, sigma, testArray).map(function(d) {
+                return [d[0] + start, d[1]];
+            }));
+
+            set.phases.push({
+                start: start,
+                end: end,
+                key: local.keys[phases[p][0]],
+                cl: phase.cl
             });
+        }
 
-        local.meansControlGenerator = d3.svg.line()
-            .interpolate('step-after')
-            .x(function (d,i) {
-                return local.mean.x(i);
-            })
-            .y(function (d) {
-                return local.mean.y(d);
-            });
+        // The central line of the chart is that of the current phase, or
+        // its last point when it changes from point to point
+        set.cl = _.last(set.phases).cl;
+        set.cl = _.isArray(set.cl) ? _.last(set.cl) : set.cl;
+        set.rules = ruleSet(testArray);
 
-        local.rangesGenerator = d3.svg.line()
-            .interpolate(options.interpolation)
-            .x(function(d,i) {
-                return local.range.x(i);
-            })
-            .y(function(d) {
-                return local.range.y(d);
+        if (set.excluded) {
+            set.excluded = set.excluded.sort(function(a, b) {
+                return a - b;
             });
 
-        local.rangesControlGenerator = d3.svg.line()
-            .interpolate('step-after')
-            .x(function (d,i) {
-                return local.range.x(i);
-            })
-            .y(function (d) {
-                return local.range.y(d);
-            });
+            if (set.excluded.length > 0) {
+                local.verbose(' - ' + set.excluded.length + ' point(s) excluded from the limits.');
+            }
+        }
 
-        if (local.means) {
-            local.means
-                .transition().duration(options.duration)
-                .attr("d", function (d,i) {
-                    return local.meansGenerator(local.data.means.values);
-                });
+        function bIncluded(value, i) {
+            return !_.contains(set.excluded, start + i);
+        }
+    }
 
-            local.meansCL
-                .transition().duration(options.duration)
-                .attr('d', function(d,i) {
-                    return local.meansGenerator(makeArrayOf(local.data.means.cl, local.data.means.n));
-                });
 
-            local.meansUL
-                .transition().duration(options.duration)
-                .attr('d', function(d,i) {
-                    return local.meansControlGenerator(local.data.means.ul);
-                });
+    // Flag the points of a set with values outside of the specification
+    // limits.  These exceptions are marked as `spec` so that they can be
+    // told apart from special cause variation.  The values behind each
+    // point are given, as a subgroup may have values out of specification
+    // even when its mean is not.
+    function specTest(set, groups) {
+        if (options.usl === null && options.lsl === null) {
+            return;
+        }
 
-            local.meansLL
-                .transition().duration(options.duration)
-                .attr('d', function(d,i) {
-                    return local.meansControlGenerator(local.data.means.ll);
-                });
+        local.verbose('Testing data against specification limits...');
 
-            local.meanExceptions
-                .transition()
-                .duration(options.duration)
-                .attr('cx', function(d) {
-                    return local.mean.x(d[0]);
-                })
-                .attr('cy', function(d) {
-                    return local.mean.y(local.data.means.values[d[0]]);
-                });
-        } else {
-            local.means = local.mean
-                .append("svg:path")
-                .attr("d", function (d,i) {
-                    return local.meansGenerator(local.data.means.values);
-                })
-                .attr("class", "line");
+        var exceptions = [];
 
-            local.meansCL = local.mean
-                .append('svg:path')
-                .attr('d', function(d,i) {
-                    return local.meansGenerator(makeArrayOf(local.data.means.cl, local.data.means.n));
-                })
-                .attr('class', 'line cl');
+        for (var i = 0; i < groups.length; i++) {
+            var outside = groups[i].map(original).filter(function(d) {
+                return (options.usl !== null && d > options.usl) || (options.lsl !== null && d < options.lsl);
+            });
 
-            local.meansUL = local.mean
-                .append('svg:path')
-                .attr('d', function(d,i) {
-                    return local.meansControlGenerator(local.data.means.ul);
-                })
-                .attr('class', 'line ul');
+            if (outside.length > 0) {
+                exceptions.push([i, (groups[i].length > 1) ?
+                    outside.length + ' value(s) outside of specification limits.' :
+                    'Point outside of specification limits.', 'spec']);
+            }
+        }
 
-            local.meansLL = local.mean
-                .append('svg:path')
-                .attr('d', function(d,i) {
-                    return local.meansControlGenerator(local.data.means.ll);
-                })
-                .attr('class', 'line ll');
+        local.verbose(' - ' + exceptions.length + ' point(s) outside of specification limits...');
 
-            local.meanExceptions = local.mean.selectAll('exception')
-                .data(local.data.means.exceptions);
+        set.exceptions = set.exceptions.concat(exceptions).sort(function(a, b) {
+            return a[0] - b[0];
+        });
+    }
 
-            local.meanExceptions.enter()
-                .append('circle')
-                .attr('cx', function(d) {
-                    return local.mean.x(d[0]);
-                })
-                .attr('cy', function(d) {
-                    return local.mean.y(local.data.means.values[d[0]]);
-                })
-                .attr('r', 2)
-                .attr('class', 'exception')
-                .append('svg:title')
-                .text(function(d) {
-                    return d[1];
-                });
+
+    // Fit the transformation given in `options.transform` to the data.
+    // Each transformation is increasing, so it keeps the order of the
+    // values and of the specification limits.
+    function transformation(values) {
+        var transform;
+
+        if (options.transform === 'boxcox') {
+            transform = boxCox(values);
+        } else if (options.transform === 'johnson') {
+            transform = johnson(values);
+        } else {
+            throw "Specified transformation does not exist.";
         }
 
-        if (local.ranges) {
-            local.ranges
+        local.verbose('Using ' + transform.name + ' transformation (' + _.map(transform.params, function(value, key) {
+            return key + ': ' + Math.round(value * 1000) / 1000;
+        }).join(', ') + ')...');
+
+        return transform;
+    }
+
+
+    // Box-Cox power transformation, with lambda chosen to maximize the
+    // log-likelihood of the transformed values being normal
+    function boxCox(values) {
+        if (d3.min(values) <= 0) {
+            throw "Box-Cox transformation requires positive data.";
+        }
+
+        var logSum = _.sum(values.map(Math.log)),
+            lambda = options.boxCoxLambda,
+            a, b, c, d,
+            golden = (Math.sqrt(5) - 1) / 2;
+
+        if (lambda === null) {
+            // Bracket the maximum on a coarse grid, then narrow it down
+            // with a golden section search
+            var grid = _.range(-5, 5.05, 0.1),
+                best = _.max(grid, likelihood);
+
+            a = best - 0.1;
+            b = best + 0.1;
+
+            while (b - a > 1e-6) {
+                c = b - golden * (b - a);
+                d = a + golden * (b - a);
+
+                if (likelihood(c) > likelihood(d)) {
+                    b = d;
+                } else {
+                    a = c;
+                }
+            }
+
+            lambda = (a + b) / 2;
+        }
+
+        return {
+            name: 'Box-Cox',
+            params: { lambda: lambda },
+            forward: function(x) {
+                return power(x, lambda);
+            },
+            inverse: function(y) {
+                return (Math.abs(lambda) < 1e-6) ? Math.exp(y) : Math.pow(Math.max(lambda * y + 1, 0), 1 / lambda);
+            }
+        };
+
+        function power(x, l) {
+            return (Math.abs(l) < 1e-6) ? Math.log(x) : (Math.pow(x, l) - 1) / l;
+        }
+
+        function likelihood(l) {
+            var transformed = values.map(function(x) {
+                return power(x, l);
+            });
+
+            return -values.length / 2 * Math.log(Math.pow(_.stdDeviation(transformed), 2)) + (l - 1) * logSum;
+        }
+    }
+
+
+    // Johnson transformation to normality.  Without a specified z, fits
+    // for z from 0.25 to 1.25 are tried, keeping the one whose
+    // transformed values have the highest Shapiro-Wilk W.
+    function johnson(values) {
+        var sorted = values.slice().sort(function(a, b) {
+                return a - b;
+            }),
+            candidates = (options.johnsonZ !== null) ? [options.johnsonZ] : _.range(0.25, 1.255, 0.01),
+            best = null,
+            bestW = -1;
+
+        candidates.forEach(function(z) {
+            var transform = johnsonFit(sorted, z),
+                w;
+
+            if (transform) {
+                w = (ShapiroWilkW(values.map(transform.forward)) || {}).w;
+
+                if (w > bestW) {
+                    best = transform;
+                    bestW = w;
+                }
+            }
+        });
+
+        if (!best) {
+            throw "Johnson transformation could not be fitted to the data.";
+        }
+
+        return best;
+    }
+
+
+    // Fit a Johnson transformation from the sorted data at a given z.
+    // The bounded (SB), lognormal (SL) or unbounded (SU) family is
+    // selected by comparing the spread of the data in its tails to that
+    // in its center.  Fits that cannot transform every value are null.
+    function johnsonFit(sorted, z) {
+        var x1 = quantile(sorted, normalCDF(-3 * z)),
+            x2 = quantile(sorted, normalCDF(-z)),
+            x3 = quantile(sorted, normalCDF(z)),
+            x4 = quantile(sorted, normalCDF(3 * z)),
+            m = x4 - x3,
+            n = x2 - x1,
+            p = x3 - x2,
+            ratio = m * n / (p * p),
+            transform, eta, gamma, lambda, epsilon;
+
+        if (Math.abs(ratio - 1) < 0.01) {
+            eta = 2 * z / Math.log(m / p);
+            gamma = eta * Math.log((m / p - 1) / (p * Math.sqrt(m / p)));
+            epsilon = (x2 + x3) / 2 - p / 2 * (m / p + 1) / (m / p - 1);
+
+            transform = {
+                name: 'Johnson SL',
+                params: { z: z, gamma: gamma, eta: eta, epsilon: epsilon },
+                forward: function(x) {
+                    return gamma + eta * Math.log(x - epsilon);
+                },
+                inverse: function(y) {
+                    return epsilon + Math.exp((y - gamma) / eta);
+                }
+            };
+        } else if (ratio > 1) {
+            eta = 2 * z / acosh((m / p + n / p) / 2);
+            gamma = eta * asinh((n / p - m / p) / (2 * Math.sqrt(ratio - 1)));
+            lambda = 2 * p * Math.sqrt(ratio - 1) / ((m / p + n / p - 2) * Math.sqrt(m / p + n / p + 2));
+            epsilon = (x2 + x3) / 2 + p * (n / p - m / p) / (2 * (m / p + n / p - 2));
+
+            transform = {
+                name: 'Johnson SU',
+                params: { z: z, gamma: gamma, eta: eta, lambda: lambda, epsilon: epsilon },
+                forward: function(x) {
+                    return gamma + eta * asinh((x - epsilon) / lambda);
+                },
+                inverse: function(y) {
+                    return epsilon + lambda * sinh((y - gamma) / eta);
+                }
+            };
+        } else {
+            var bounds = (1 + p / m) * (1 + p / n);
+
+            eta = z / acosh(Math.sqrt(bounds) / 2);
+            gamma = eta * asinh((p / n - p / m) * Math.sqrt(bounds - 4) / (2 * (1 / ratio - 1)));
+            lambda = p * Math.sqrt(Math.pow(bounds - 2, 2) - 4) / (1 / ratio - 1);
+            epsilon = (x2 + x3) / 2 - lambda / 2 + p * (p / n - p / m) / (2 * (1 / ratio - 1));
+
+            transform = {
+                name: 'Johnson SB',
+                params: { z: z, gamma: gamma, eta: eta, lambda: lambda, epsilon: epsilon },
+                forward: function(x) {
+                    return gamma + eta * Math.log((x - epsilon) / (lambda + epsilon - x));
+                },
+                inverse: function(y) {
+                    return epsilon + lambda / (1 + Math.exp(-(y - gamma) / eta));
+                }
+            };
+        }
+
+        if (!sorted.every(function(x) {
+            return isFinite(transform.forward(x));
+        })) {
+            return null;
+        }
+
+        return transform;
+
+        function asinh(x) {
+            return Math.log(x + Math.sqrt(x * x + 1));
+        }
+
+        function acosh(x) {
+            return Math.log(x + Math.sqrt(x * x - 1));
+        }
+
+        function sinh(x) {
+            return (Math.exp(x) - Math.exp(-x)) / 2;
+        }
+    }
+
+
+    // Test the values for normality with the test given in
+    // `options.normalityTest`.  The result has the name of the `test`,
+    // its `statistic` and `p` value, and whether the values pass at
+    // `options.normalityAlpha`.  It is null if the values can't be tested.
+    function normalityTest(values) {
+        var result;
+
+        if (options.normalityTest === 'shapiro-wilk') {
+            result = ShapiroWilkW(values.slice());
+            result = result && { test: 'W', statistic: result.w, p: result.p };
+        } else if (options.normalityTest === 'anderson-darling') {
+            result = andersonDarling(values);
+            result = result && { test: 'A2', statistic: result.a, p: result.p };
+        } else {
+            throw "Specified normality test does not exist.";
+        }
+
+        if (!result) {
+            return null;
+        }
+
+        result.alpha = options.normalityAlpha;
+        result.bNormal = result.p >= options.normalityAlpha;
+
+        return result;
+    }
+
+
+    // A normality test result for display
+    function normalityString(result) {
+        var name = (result.test === 'W') ? 'Shapiro-Wilk W' : 'Anderson-Darling A2';
+
+        return name + ' = ' + result.statistic.toFixed(3) + ', p = ' + result.p.toFixed(3);
+    }
+
+
+    // Sort values into histogram bins, each with the `x0` and `x1` bounds
+    // of the bin and the `count` of values in it.  The last bin includes
+    // its upper bound.
+    function histogramBins(values) {
+        var sorted = values.slice().sort(function(a, b) {
+                return a - b;
+            }),
+            min = sorted[0],
+            max = sorted[sorted.length - 1],
+            n = values.length,
+            thresholds, width, k;
+
+        if (_.isArray(options.bins)) {
+            thresholds = options.bins.slice().sort(function(a, b) {
+                return a - b;
+            });
+        } else {
+            if (options.bins) {
+                k = options.bins;
+            } else if (options.binMethod === 'fd' && quantile(sorted, 0.75) > quantile(sorted, 0.25)) {
+                width = 2 * (quantile(sorted, 0.75) - quantile(sorted, 0.25)) / Math.pow(n, 1/3);
+                k = Math.max(1, Math.ceil((max - min) / width));
+            } else if (options.binMethod === 'fd' || options.binMethod === 'sturges') {
+                k = Math.ceil(Math.log(n) / Math.LN2) + 1;
+            } else {
+                throw "Specified binning method does not exist.";
+            }
+
+            width = (max - min) / k || 1;
+            thresholds = _.range(k + 1).map(function(i) {
+                return min + i * width;
+            });
+        }
+
+        local.verbose(' - Using ' + (thresholds.length - 1) + ' histogram bins...');
+
+        return _.range(thresholds.length - 1).map(function(i) {
+            var x0 = thresholds[i],
+                x1 = thresholds[i + 1],
+                bLast = i === thresholds.length - 2;
+
+            return {
+                x0: x0,
+                x1: x1,
+                count: values.filter(function(d) {
+                    return d >= x0 && (d < x1 || (bLast && d === x1));
+                }).length
+            };
+        });
+    }
+
+
+    // Draw the histogram within the selector, with the fitted normal
+    // density, the mean and +/- 3 sigma, and the specification limits
+    function drawHistogram(selector, values, bins, mean, sigma, shapiroWilk) {
+        var container = d3.select(selector),
+            width = parseInt(container.style('width'), 0),
+            height = parseInt(container.style('height'), 0),
+            binWidth = _.mean(bins.map(function(d) {
+                return d.x1 - d.x0;
+            })),
+            specs = [['usl', 'benchmark'], ['lsl', 'benchmark'], ['target', 'target']].filter(function(spec) {
+                return options[spec[0]] !== null && options[spec[0]] !== undefined;
+            }),
+            markers = [[mean, 'mean'], [mean - 3 * sigma, 'sigma'], [mean + 3 * sigma, 'sigma']];
+
+        // The fitted normal density, scaled to the counts of the bins
+        var x = d3.scale.linear()
+            .range([46, width - 5])
+            .domain(d3.extent([bins[0].x0, _.last(bins).x1, mean - 3 * sigma, mean + 3 * sigma].concat(specs.map(function(spec) {
+                return options[spec[0]];
+            }))))
+            .nice();
+
+        var density = x.ticks(100).map(function(d) {
+            return [d, values.length * binWidth * Math.exp(-Math.pow((d - mean) / sigma, 2) / 2) / (sigma * Math.sqrt(2 * Math.PI))];
+        });
+
+        var y = d3.scale.linear()
+            .range([height - 20, 15])
+            .domain([0, d3.max([d3.max(_.pluck(bins, 'count')), d3.max(_.pluck(density, 1))])])
+            .nice();
+
+        var svg = container
+            .append('svg')
+            .attr('class', 'histogram')
+            .attr('width', width + 'px')
+            .attr('height', height + 'px');
+
+        svg.selectAll('rect.column')
+            .data(bins)
+            .enter()
+            .append('svg:rect')
+            .attr('class', 'column')
+            .attr('x', function(d) {
+                return x(d.x0);
+            })
+            .attr('y', function(d) {
+                return y(d.count);
+            })
+            .attr('width', function(d) {
+                return Math.max(0, x(d.x1) - x(d.x0) - 1);
+            })
+            .attr('height', function(d) {
+                return y(0) - y(d.count);
+            })
+            .append('svg:title')
+            .text(function(d) {
+                return d.count + ' value(s) from ' + d.x0 + ' to ' + d.x1;
+            });
+
+        svg.append('svg:path')
+            .attr('class', 'line normal')
+            .attr('d', d3.svg.line()
+                .x(function(d) {
+                    return x(d[0]);
+                })
+                .y(function(d) {
+                    return y(d[1]);
+                })(density));
+
+        // Mark the mean and +/- 3 sigma, and the specification limits
+        svg.selectAll('line.marker')
+            .data(markers)
+            .enter()
+            .append('svg:line')
+            .attr('class', function(d) {
+                return 'line marker ' + d[1];
+            })
+            .attr('x1', function(d) {
+                return x(d[0]);
+            })
+            .attr('x2', function(d) {
+                return x(d[0]);
+            })
+            .attr('y1', y(0))
+            .attr('y2', 15);
+
+        specs.forEach(function(spec) {
+            svg.append('svg:g')
+                .attr('class', spec[1] + ' ' + spec[0])
+                .append('svg:line')
+                .attr('class', 'line')
+                .attr('x1', x(options[spec[0]]))
+                .attr('x2', x(options[spec[0]]))
+                .attr('y1', y(0))
+                .attr('y2', 15);
+        });
+
+        svg.append('svg:g')
+            .attr('class', 'axis')
+            .attr('transform', 'translate(0,' + (height - 19) + ')')
+            .call(d3.svg.axis()
+                .scale(x)
+                .ticks(5)
+                .orient('bottom'));
+
+        svg.append('svg:g')
+            .attr('class', 'axis')
+            .attr('transform', 'translate(45,0)')
+            .call(d3.svg.axis()
+                .scale(y)
+                .ticks(2)
+                .orient('left'));
+
+        if (shapiroWilk) {
+            svg.append('text')
+                .attr('class', 'normality')
+                .attr('x', width - 5)
+                .attr('y', 10)
+                .attr('text-anchor', 'end')
+                .text('Shapiro-Wilk W = ' + shapiroWilk.w.toFixed(3) + ', p = ' + shapiroWilk.p.toFixed(3));
+        }
+    }
+
+
+    // Print the histogram to the console
+    function printHistogram(bins, mean, sigma, shapiroWilk) {
+        var maxCount = d3.max(_.pluck(bins, 'count')),
+            format = d3.format('.4g'),
+            labels = bins.map(function(d) {
+                return '[' + format(d.x0) + ', ' + format(d.x1) + ')';
+            }),
+            labelWidth = d3.max(_.pluck(labels, 'length'));
+
+        bins.forEach(function(d, i) {
+            var label = labels[i] + new Array(labelWidth - labels[i].length + 1).join(' '),
+                bar = new Array(Math.round(d.count / maxCount * 50) + 1).join('#');
+
+            console.log(label + ' | ' + bar + ' ' + d.count);
+        });
+
+        console.log('Mean: ' + format(mean) + ', -3 sigma: ' + format(mean - 3 * sigma) + ', +3 sigma: ' + format(mean + 3 * sigma));
+
+        ['lsl', 'target', 'usl'].forEach(function(spec) {
+            if (options[spec] !== null && options[spec] !== undefined) {
+                console.log(spec.toUpperCase() + ': ' + format(options[spec]));
+            }
+        });
+
+        if (shapiroWilk) {
+            console.log('Shapiro-Wilk W: ' + shapiroWilk.w.toFixed(3) + ', p: ' + shapiroWilk.p.toFixed(3));
+        }
+    }
+
+
+    // The sorted values against their theoretical normal quantiles, using
+    // Blom's plotting positions.  The reference line is the normal
+    // distribution fitted to the data, and the pointwise confidence
+    // bands use the standard error of each order statistic.
+    function probabilityPoints(values) {
+        var sorted = values.slice().sort(function(a, b) {
+                return a - b;
+            }),
+            n = sorted.length,
+            mean = _.mean(sorted),
+            sigma = sampleStdDev(sorted),
+            z = normalQuantile(1 - options.probabilityAlpha / 2, 0, 1);
+
+        var points = sorted.map(function(value, i) {
+            var p = (i + 1 - 0.375) / (n + 0.25),
+                q = normalQuantile(p, 0, 1),
+                density = Math.exp(-q * q / 2) / Math.sqrt(2 * Math.PI),
+                se = sigma / density * Math.sqrt(p * (1 - p) / n);
+
+            return {
+                value: value,
+                quantile: q,
+                expected: mean + sigma * q,
+                lower: mean + sigma * q - z * se,
+                upper: mean + sigma * q + z * se
+            };
+        });
+
+        return {
+            points: points,
+            mean: mean,
+            sigma: sigma,
+            normality: normalityTest(sorted)
+        };
+    }
+
+
+    // Draw the normal probability plot within the selector
+    function drawProbabilityPlot(selector, plot) {
+        var container = d3.select(selector),
+            width = parseInt(container.style('width'), 0),
+            height = parseInt(container.style('height'), 0),
+            points = plot.points;
+
+        var x = d3.scale.linear()
+            .range([46, width - 5])
+            .domain(d3.extent(_.pluck(points, 'quantile')))
+            .nice();
+
+        var y = d3.scale.linear()
+            .range([height - 20, 15])
+            .domain(d3.extent(_.pluck(points, 'value').concat(_.pluck(points, 'lower'), _.pluck(points, 'upper'))))
+            .nice();
+
+        var svg = container
+            .append('svg')
+            .attr('class', 'probability')
+            .attr('width', width + 'px')
+            .attr('height', height + 'px');
+
+        // The reference line and its confidence bands
+        ['expected', 'lower', 'upper'].forEach(function(line) {
+            svg.append('svg:path')
+                .attr('class', 'line ' + (line === 'expected' ? 'cl' : 'band'))
+                .attr('d', d3.svg.line()
+                    .x(function(d) {
+                        return x(d.quantile);
+                    })
+                    .y(function(d) {
+                        return y(d[line]);
+                    })(points));
+        });
+
+        svg.selectAll('circle')
+            .data(points)
+            .enter()
+            .append('svg:circle')
+            .attr('cx', function(d) {
+                return x(d.quantile);
+            })
+            .attr('cy', function(d) {
+                return y(d.value);
+            })
+            .attr('r', 2)
+            .attr('class', function(d) {
+                return (d.value < d.lower || d.value > d.upper) ? 'point exception' : 'point';
+            })
+            .append('svg:title')
+            .text(function(d) {
+                return d.value + ' (expected ' + d.expected.toFixed(3) + ')';
+            });
+
+        svg.append('svg:g')
+            .attr('class', 'axis')
+            .attr('transform', 'translate(0,' + (height - 19) + ')')
+            .call(d3.svg.axis()
+                .scale(x)
+                .ticks(5)
+                .orient('bottom'));
+
+        svg.append('svg:g')
+            .attr('class', 'axis')
+            .attr('transform', 'translate(45,0)')
+            .call(d3.svg.axis()
+                .scale(y)
+                .ticks(2)
+                .orient('left'));
+
+        if (plot.normality) {
+            svg.append('text')
+                .attr('class', 'normality')
+                .attr('x', 50)
+                .attr('y', 10)
+                .text(normalityString(plot.normality));
+        }
+    }
+
+
+    // Print the points of the normal probability plot outside of the
+    // confidence bands to the console
+    function printProbabilityPlot(plot) {
+        var format = d3.format('.4g'),
+            outside = plot.points.filter(function(d) {
+                return d.value < d.lower || d.value > d.upper;
+            });
+
+        console.log('Normal fit: mean ' + format(plot.mean) + ', sigma ' + format(plot.sigma));
+
+        if (plot.normality) {
+            console.log(normalityString(plot.normality));
+        }
+
+        console.log(outside.length + ' of ' + plot.points.length + ' point(s) outside of the confidence bands.');
+
+        outside.forEach(function(d) {
+            console.log(' - ' + format(d.value) + ' at quantile ' + d.quantile.toFixed(2) +
+                ' (band ' + format(d.lower) + ' to ' + format(d.upper) + ')');
+        });
+    }
+
+
+    // Convert the values, limits, sigma lines and central lines of a set
+    // from the transformed scale back to the original scale of the data.
+    // Limits beyond the domain of the inverse (i.e. Box-Cox with a
+    // negative lambda) are capped at the extremes of the data.
+    function backTransform(set) {
+        if (!local.transform) {
+            return;
+        }
+
+        var inverse = local.transform.inverse,
+            extent = d3.extent(local.rawValues),
+            cl = set.cl,
+            levels = set.sigma ? sigmaLevels(set) : null,
+            bCapped = false;
+
+        set.values = set.values.map(inverse);
+        set.ul = set.ul.map(limit);
+        set.ll = set.ll.map(limit);
+        set.cl = inverse(set.cl);
+
+        if (levels) {
+            set.levels = _.object(_.map(levels, function(level, k) {
+                return [k, level.map(function(value, i) {
+                    return Math.max(set.ll[i], Math.min(set.ul[i], limit(value)));
+                })];
+            }));
+        }
+
+        if (bCapped) {
+            local.verbose('Warning: Some limits are beyond the range of the ' + local.transform.name +
+                ' transformation and are capped at the extremes of the data.');
+        }
+
+        (set.phases || []).forEach(function(phase) {
+            phase.cl = inverse(phase.cl);
+        });
+
+        set.max = d3.max([d3.max(set.values), d3.max(set.ul)]);
+        set.min = d3.min([d3.min(set.values), d3.min(set.ll)]);
+
+        function limit(value) {
+            var x = inverse(value);
+
+            if (!isFinite(x)) {
+                bCapped = true;
+                x = (value > cl) ? extent[1] : extent[0];
+            }
+
+            return x;
+        }
+    }
+
+
+    // The label of the y axis of a set.  The ranges of transformed
+    // measures stay on the transformed scale, so they are labelled with
+    // the transformation instead of the units.
+    function axisLabel(set) {
+        if (local.transform && set === local.data.ranges) {
+            return set.chart + ' (' + local.transform.name + ' scale)';
+        }
+
+        return set.chart + ((options.units) ? ' (' + options.units + ')' : '');
+    }
+
+
+    // A value on the original scale of the data
+    function original(value) {
+        return local.transform ? local.transform.inverse(value) : value;
+    }
+
+
+    // Process capability of the current phase against the specification
+    // limits.  The within subgroup sigma is estimated as R-bar/d2 (or
+    // the average moving range over d2 for individuals), and the overall
+    // sigma is the sample standard deviation of the values.  Points
+    // excluded from the limits are left out of the indices as well.
+    function capability() {
+        local.verbose('Analyzing process capability...');
+
+        if (options.usl === null && options.lsl === null) {
+            throw "Specification limits must be set!";
+        }
+
+        if (!_.contains(['xBar', 'mX', 'X'], local.data.means.chart)) {
+            throw "Capability requires a chart of measures.";
+        }
+
+        // Refuse (or warn) if the current phase is out of control.  The
+        // points excluded from the limits have known causes, so their
+        // exceptions don't count.
+        var outOfControl = [local.data.means, local.data.ranges].some(function(set) {
+            var start = set.phases ? _.last(set.phases).start : 0;
+
+            return set.exceptions.some(function(d) {
+                return d[0] >= start && d[2] !== 'spec' && !_.contains(set.excluded || [], d[0]);
+            });
+        });
+
+        var warning = null;
+
+        if (outOfControl) {
+            if (!options.bForceCapability) {
+                throw "Process is not in statistical control. Capability cannot be assessed.";
+            }
+
+            warning = 'Process is not in statistical control. Capability indices may be misleading.';
+            local.verbose('Warning: ' + warning);
+        }
+
+        // Excluded points are given relative to the start of the phase,
+        // each covering a subgroup (or a single value) of its data
+        var phase = _.last(phaseRanges()),
+            phaseValues = local.values.slice(phase[0], phase[1]),
+            bSubgroups = local.data.means.chart === 'xBar' && local.groupSize > 1,
+            size = bSubgroups ? local.groupSize : 1,
+            start = local.data.means.phases ? _.last(local.data.means.phases).start : 0,
+            excluded = (local.data.means.excluded || []).filter(function(p) {
+                return p >= start;
+            }).map(function(p) {
+                return p - start;
+            }),
+            values = phaseValues.filter(function(d, i) {
+                return bIncluded(i);
+            }),
+            groups = bSubgroups ? subgroup(phaseValues, local.groupSize).filter(function(d, i) {
+                return d.length === local.groupSize && !_.contains(excluded, i);
+            }) : [],
+            n = values.length,
+            mean = _.mean(values),
+            usl = transformed(options.usl),
+            lsl = transformed(options.lsl),
+            target = (options.target !== null) ? transformed(options.target) :
+                (options.usl !== null && options.lsl !== null) ? transformed((options.usl + options.lsl) / 2) : null,
+            within, overall, cpk, ppk, z, se;
+
+        if (bSubgroups && chartFactors('D2', local.groupSize)) {
+            within = _.mean(subgroupRanges(groups)) / chartFactors('D2', local.groupSize);
+        } else if (bSubgroups) {
+            // Ranges are inefficient for large subgroups, so the average
+            // standard deviation is used instead
+            within = _.mean(subgroupStdDevs(groups)) / chartFactors('c4', local.groupSize);
+        } else {
+            // Only the moving ranges between two included values count
+            within = _.mean(movingRanges(phaseValues).filter(function(d, i) {
+                return bIncluded(i) && bIncluded(i + 1);
+            })) / chartFactors('D2', 2);
+        }
+
+        overall = sampleStdDev(values);
+
+        local.verbose(' - mean: ' + mean + ', within sigma: ' + within + ', overall sigma: ' + overall);
+
+        cpk = indices(within);
+        ppk = indices(overall);
+
+        // Bissell's approximate confidence interval for Cpk
+        z = normalQuantile(1 - options.capabilityAlpha / 2, 0, 1);
+        se = Math.sqrt(1 / (9 * n) + cpk.k * cpk.k / (2 * (n - 1)));
+
+        return {
+            n: n,
+            mean: mean,
+            sigmaWithin: within,
+            sigmaOverall: overall,
+            cp: cpk.p,
+            cpu: cpk.u,
+            cpl: cpk.l,
+            cpk: cpk.k,
+            cpkInterval: [cpk.k - z * se, cpk.k + z * se],
+            pp: ppk.p,
+            ppu: ppk.u,
+            ppl: ppk.l,
+            ppk: ppk.k,
+            cpm: (usl !== null && lsl !== null) ?
+                (usl - lsl) / (6 * Math.sqrt(overall * overall + Math.pow(mean - target, 2))) : null,
+            ppm: {
+                observed: values.filter(function(d) {
+                    return (usl !== null && d > usl) || (lsl !== null && d < lsl);
+                }).length / n * 1e6,
+                within: ppm(within),
+                overall: ppm(overall)
+            },
+            bInControl: !outOfControl,
+            warning: warning,
+            transform: local.transform ? local.transform.name : null
+        };
+
+        // Whether a value of the phase, by its index, is included
+        function bIncluded(i) {
+            return !_.contains(excluded, Math.floor(i / size));
+        }
+
+        // Spec limits are compared with the values on the transformed scale
+        function transformed(value) {
+            return (local.transform && value !== null) ? local.transform.forward(value) : value;
+        }
+
+        // Potential (p), one-sided (u, l) and actual (k) indices for a sigma
+        function indices(sigma) {
+            var u = (usl !== null) ? (usl - mean) / (3 * sigma) : null,
+                l = (lsl !== null) ? (mean - lsl) / (3 * sigma) : null;
+
+            return {
+                p: (usl !== null && lsl !== null) ? (usl - lsl) / (6 * sigma) : null,
+                u: u,
+                l: l,
+                k: d3.min([u, l].filter(function(d) {
+                    return d !== null;
+                }))
+            };
+        }
+
+        // Expected parts per million outside of the specification limits
+        function ppm(sigma) {
+            var above = (usl !== null) ? 1 - normalCDF((usl - mean) / sigma) : 0,
+                below = (lsl !== null) ? normalCDF((lsl - mean) / sigma) : 0;
+
+            return (above + below) * 1e6;
+        }
+    }
+
+
+    // Establish the limits of the means and ranges sets together.  The
+    // ranges exclusions are derived from the means exclusions, and the
+    // limits are established again until recalculating the means limits
+    // excludes no more points, so the two sets never drift apart.
+    function linkedLimits(rangeExclusions, establish) {
+        var count;
+
+        do {
+            count = local.data.means.excluded.length;
+            local.data.ranges.excluded = rangeExclusions(local.data.means.excluded);
+
+            establish();
+        } while (local.data.means.excluded.length > count);
+    }
+
+
+    // The indices of the chart points to exclude from the limits, from
+    // the keys and indices in `options.exclude`.  Keys are matched to
+    // the point containing them, given the data index where each point
+    // starts and the number of values in a point.
+    function excludedPoints(pointStarts, size) {
+        return _.uniq((options.exclude || []).map(function(d) {
+            if (_.isNumber(d)) {
+                if (d < 0 || d >= pointStarts.length || d % 1 !== 0) {
+                    throw "Specified excluded point does not exist.";
+                }
+
+                return d;
+            }
+
+            var index = _.indexOf(local.keys, d);
+
+            var point = _.sortedIndex(pointStarts, index + 1) - 1;
+
+            if (index < 0) {
+                throw "Specified excluded point does not exist.";
+            }
+
+            if (index >= pointStarts[point] + (size || 1)) {
+                throw "Specified excluded point is in an incomplete subgroup.";
+            }
+
+            return point;
+        }));
+    }
+
+
+    // The central line value at each point of a set, which changes
+    // from one phase to the next
+    function centralLine(set) {
+        if (!set.phases) {
+            return makeArrayOf(set.cl, set.n);
+        }
+
+        var retArr = [];
+
+        set.phases.forEach(function(phase) {
+            retArr = retArr.concat(_.isArray(phase.cl) ? phase.cl : makeArrayOf(phase.cl, phase.end - phase.start));
+        });
+
+        return retArr;
+    }
+
+
+    // Determine the process mean and the standard deviation of the
+    // plotted values.  The known process mean and standard deviation
+    // are used if specified.  Otherwise, they are estimated from the
+    // data, with the standard deviation based on the average (moving)
+    // range.
+    function processParameters(groups, values) {
+        local.verbose('Estimating process parameters...');
+
+        var mean, sigma;
+
+        mean = (options.processMean !== null) ? options.processMean : _.mean(values);
+
+        if (options.processSigma) {
+            sigma = options.processSigma / Math.sqrt(local.groupSize);
+        } else if (local.groupSize > 1) {
+            sigma = _.mean(subgroupRanges(groups)) / chartFactors('D2', local.groupSize) / Math.sqrt(local.groupSize);
+        } else {
+            sigma = _.mean(movingRanges(values)) / chartFactors('D2', 2);
+        }
+
+        local.verbose(' - mean: ' + mean + ', sigma: ' + sigma);
+
+        return {
+            mean: mean,
+            sigma: sigma
+        };
+    }
+
+
+    // Return array of the time between consecutive events, in units of
+    // `options.eventUnit`, using the event timestamps in the data keys
+    function eventIntervals() {
+        local.verbose('Calculating time between events...');
+
+        var events = local.keys.map(function(key) {
+                return moment(key);
+            }).sort(function(a, b) {
+                return a - b;
+            }),
+            retArr = [];
+
+        for (var i = 1; i < events.length; i++) {
+            retArr.push(events[i].diff(events[i - 1], options.eventUnit, true));
+        }
+
+        return retArr;
+    }
+
+
+    // Calculate the Laney sigma z: the variation between subgroups
+    // estimated from the moving range of the subgroup z-scores.  A
+    // value of 1 means the data matches the assumed distribution.
+    function laneySigmaZ(values, cl, sigmas) {
+        local.verbose('Calculating sigma z...');
+
+        var z = [];
+
+        for (var i = 0; i < values.length; i++) {
+            z.push((values[i] - cl) / sigmas[i]);
+        }
+
+        return _.mean(movingRanges(z)) / chartFactors('D2', 2);
+    }
+
+
+    // Determine if attribute data is overdispersed
+    function bOverdispersed(values, cl, sigmas) {
+        local.verbose('Testing for overdispersion...');
+
+        var sigmaZ = laneySigmaZ(values, cl, sigmas),
+            passString = (sigmaZ > options.overdispersionRatio) ? 'overdispersed.' : 'not overdispersed.';
+
+        local.verbose(' - sigma z: ' + sigmaZ + ', ' + passString);
+
+        return sigmaZ > options.overdispersionRatio;
+    }
+
+
+    // Return array of moving ranges between consecutive points
+    function movingRanges(array) {
+        local.verbose('Calculating moving ranges...');
+
+        var retArr = [];
+
+        for (var i = 1; i < array.length; i++) {
+            retArr.push(Math.abs(array[i] - array[i - 1]));
+        }
+
+        return retArr;
+    }
+
+
+    // Organize data into defective groups of specified size
+    // and use standard unit groupings if specified
+    function defectiveGroup(size, bStandardUnit) {
+        local.verbose('Adjusting defects into subgroups with ' + size + 'defects in each...');
+
+    }
+
+    function chartFactors(factor, n) {
+
+        var factors = {
+            A2: {
+                1: 2.66, 2: 1.88, 3: 1.02, 4: 0.73, 5: 0.58, 6: 0.48, 7: 0.42, 8: 0.37, 9: 0.34, 10: 0.31
+            },
+            D2: {
+                2: 1.128, 3: 1.69, 4: 2.06, 5: 2.33, 6: 2.53, 7: 2.70, 8: 2.85, 9: 2.97, 10: 3.08
+            },
+            D3: {
+                2: 0, 3: 0, 4: 0, 5: 0, 6: 0, 7: 0.08, 8: 0.14, 9: 0.18, 10: 0.22
+            },
+            D4: {
+                2: 3.267, 3: 2.58, 4: 2.28, 5: 2.12, 6: 2.00, 7: 1.92, 8: 1.86, 9: 1.82, 10: 1.78
+            }
+        };
+
+        if (factors[factor]) {
+            return factors[factor][n];
+        }
+
+        // The factors for standard deviation charts are derived from c4,
+        // so they can be calculated for any subgroup size
+        var c4 = Math.sqrt(2 / (n - 1)) * Math.exp(lnGamma(n / 2) - lnGamma((n - 1) / 2)),
+            spread = 3 * Math.sqrt(1 - c4 * c4) / c4;
+
+        factors = {
+            c4: c4,
+            A3: 3 / (c4 * Math.sqrt(n)),
+            B3: Math.max(0, 1 - spread),
+            B4: 1 + spread
+        };
+
+        return factors[factor];
+    }
+
+
+    // Generate the x-bar chart suited to the subgroup size.  Larger
+    // subgroups are better served by the subgroup standard deviations
+    // than by their ranges.
+    function xBarChart() {
+        local.groupSize = options.groupSize || local.groupSize;
+
+        // The range chart factors are only tabulated up to a group size of 10
+        if (local.groupSize > options.sGroupSize || !chartFactors('D4', local.groupSize)) {
+            local.verbose('Group size is larger than ' + Math.min(options.sGroupSize, 10) + '.');
+
+            local.xBarSChart();
+        } else {
+            local.xBarRChart();
+        }
+    }
+
+
+    /*
+     *  CHARTS
+     */
+
+    // Generate a standard xBar and R chart
+    local.xBarRChart = function() {
+        local.verbose('Generating xBar & R chart...');
+
+        if (!chartFactors('D4', local.groupSize)) {
+            throw "Group size must be from 2 to 10 for an xBar & R chart. Use an xBar & S chart instead.";
+        }
+
+        var phased = phaseSubgroups(),
+            groups = phased.groups,
+            starts = phased.starts,
+            groupStarts = phased.groupStarts,
+            means, ranges;
+
+        means = subgroupMeans(groups);
+        ranges = subgroupRanges(groups);
+
+        local.data.means.excluded = excludedPoints(groupStarts, local.groupSize);
+
+        local.data.means.values = means;
+        local.data.means.chart = 'xBar';
+        local.data.means.n = local.data.means.values.length;
+
+        local.data.ranges.values = ranges;
+        local.data.ranges.chart = 'R';
+        local.data.ranges.n = local.data.ranges.values.length;
+
+
+        // Establish the central lines and the control limit values
+        // for the means and ranges charts of each phase.  The ranges
+        // chart excludes the same subgroups as the means chart, so
+        // its limits are found again whenever recalculating the means
+        // limits excludes more subgroups.
+        // NOTE: control limits can be overridden by `options.[control]`
+        linkedLimits(_.clone, function() {
+            phasedLimits(local.data.ranges, starts, function(values) {
+                var rCL = options.rCL || _.mean(values);
+
+                return {
+                    cl: rCL,
+                    ul: options.rUL || chartFactors('D4', local.groupSize) * rCL,
+                    ll: options.rLL || chartFactors('D3', local.groupSize) * rCL,
+                    sigma: (chartFactors('D4', local.groupSize) - 1) * rCL / 3
+                };
+            });
+
+            phasedLimits(local.data.means, starts, function(values, p) {
+                var xCL = options.xCL || _.mean(values),
+                    rCL = local.data.ranges.phases[p].cl;
+
+                return {
+                    cl: xCL,
+                    ul: options.xUL || xCL + chartFactors('A2', local.groupSize) * rCL,
+                    ll: options.xLL || xCL - chartFactors('A2', local.groupSize) * rCL,
+                    sigma: chartFactors('A2', local.groupSize) * rCL / 3
+                };
+            }, undefined, options.bRecalculate);
+        });
+
+
+        // Specify the min and max of each set, considering the control limits as well
+        local.data.means.max = d3.max([d3.max(local.data.means.values), d3.max(local.data.means.ul)]);
+        local.data.means.min = d3.min([d3.min(local.data.means.values), d3.min(local.data.means.ll)]);
+        local.data.ranges.max = d3.max([d3.max(local.data.ranges.values), d3.max(local.data.ranges.ul)]);
+        local.data.ranges.min = d3.min([d3.min(local.data.ranges.values), d3.min(local.data.ranges.ll)]);
+
+        // Display the means chart on the original scale of the data
+        backTransform(local.data.means);
+
+        // Flag the subgroups with values outside of the specification limits
+        specTest(local.data.means, groups);
+
+        chartSetup();
+
+        drawLines();
+    };
+
+    // Generate an xBar and S chart
+    local.xBarSChart = function() {
+        local.verbose('Generating xBar & S chart...');
+
+        var phased = phaseSubgroups(),
+            groups = phased.groups,
+            starts = phased.starts,
+            groupStarts = phased.groupStarts,
+            means, stdDevs;
+
+        means = subgroupMeans(groups);
+        stdDevs = subgroupStdDevs(groups);
+
+        local.data.means.excluded = excludedPoints(groupStarts, local.groupSize);
+
+        local.data.means.values = means;
+        local.data.means.chart = 'xBar';
+        local.data.means.n = local.data.means.values.length;
+
+        local.data.ranges.values = stdDevs;
+        local.data.ranges.chart = 'S';
+        local.data.ranges.n = local.data.ranges.values.length;
+
+
+        // Establish the central lines and the control limit values
+        // for the means and standard deviation charts of each phase,
+        // excluding the same subgroups from both.
+        // NOTE: control limits can be overridden by `options.[control]`
+        linkedLimits(_.clone, function() {
+            phasedLimits(local.data.ranges, starts, function(values) {
+                var sCL = options.rCL || _.mean(values);
+
+                return {
+                    cl: sCL,
+                    ul: options.rUL || chartFactors('B4', local.groupSize) * sCL,
+                    ll: options.rLL || chartFactors('B3', local.groupSize) * sCL,
+                    sigma: (chartFactors('B4', local.groupSize) - 1) * sCL / 3
+                };
+            });
+
+            phasedLimits(local.data.means, starts, function(values, p) {
+                var xCL = options.xCL || _.mean(values),
+                    sCL = local.data.ranges.phases[p].cl;
+
+                return {
+                    cl: xCL,
+                    ul: options.xUL || xCL + chartFactors('A3', local.groupSize) * sCL,
+                    ll: options.xLL || xCL - chartFactors('A3', local.groupSize) * sCL,
+                    sigma: chartFactors('A3', local.groupSize) * sCL / 3
+                };
+            }, undefined, options.bRecalculate);
+        });
+
+
+        // Specify the min and max of each set, considering the control limits as well
+        local.data.means.max = d3.max([d3.max(local.data.means.values), d3.max(local.data.means.ul)]);
+        local.data.means.min = d3.min([d3.min(local.data.means.values), d3.min(local.data.means.ll)]);
+        local.data.ranges.max = d3.max([d3.max(local.data.ranges.values), d3.max(local.data.ranges.ul)]);
+        local.data.ranges.min = d3.min([d3.min(local.data.ranges.values), d3.min(local.data.ranges.ll)]);
+
+        // Display the means chart on the original scale of the data
+        backTransform(local.data.means);
+
+        // Flag the subgroups with values outside of the specification limits
+        specTest(local.data.means, groups);
+
+        chartSetup();
+
+        drawLines();
+    };
+
+    // Generate an exponentially weighted moving average chart
+    local.ewmaChart = function() {
+        local.verbose('Generating ewma chart...');
+
+        var width, z,
+            lambda = options.ewmaLambda,
+            L = options.ewmaL,
+            groups = subgroup(local.values, local.groupSize),
+            values = (local.groupSize > 1) ? subgroupMeans(groups) : local.values,
+            process = processParameters(groups, values),
+            cl = process.mean,
+            sigma = process.sigma,
+            ul = [],
+            ll = [],
+            sigmas = [],
+            ewma = [];
+
+        local.bSinglePanel = true;
+
+        // The limits start narrow and widen toward their steady state
+        // value as more points contribute to the weighted average
+        z = cl;
+
+        for (var i = 0; i < values.length; i++) {
+            z = lambda * values[i] + (1 - lambda) * z;
+            width = L * sigma * Math.sqrt(lambda / (2 - lambda) * (1 - Math.pow(1 - lambda, 2 * (i + 1))));
+
+            ewma.push(z);
+            ul.push(cl + width);
+            ll.push(cl - width);
+            sigmas.push(width / L);
+        }
+
+        local.data.means.values = ewma;
+        local.data.means.chart = 'EWMA';
+        local.data.means.n = local.data.means.values.length;
+        local.data.means.cl = cl;
+        local.data.means.ul = ul;
+        local.data.means.ll = ll;
+
+
+        // Specify the min and max of the set, considering the control limits as well
+        local.data.means.max = d3.max([d3.max(local.data.means.values), d3.max(local.data.means.ul)]);
+        local.data.means.min = d3.min([d3.min(local.data.means.values), d3.min(local.data.means.ll)]);
+
+        // Consecutive ewma values are correlated, so only the control
+        // limits themselves are tested
+        local.data.means.sigma = sigmas;
+        local.data.means.exceptions = variationTest(ewma, cl, ul, ll, sigmas, [1]);
+        local.data.means.rules = ruleSet([1]);
+
+        // Display the chart on the original scale of the data
+        backTransform(local.data.means);
+
+        chartSetup();
+
+        drawLines();
+    };
+
+    // Generate a tabular cusum chart.  The upper cumulative sum is
+    // drawn in the means chart area and the lower cumulative sum
+    // is drawn in the range chart area.
+    local.cusumChart = function() {
+        local.verbose('Generating cusum chart...');
+
+        var groups = subgroup(local.values, local.groupSize),
+            values = (local.groupSize > 1) ? subgroupMeans(groups) : local.values,
+            process = processParameters(groups, values),
+            K = options.cusumK * process.sigma,
+            H = options.cusumH * process.sigma,
+            upper = [],
+            lower = [],
+            upperRun = [],
+            lowerRun = [];
+
+        // Accumulate deviations beyond the reference value, keeping count
+        // of the consecutive non-zero sums to locate where a shift began
+        for (var i = 0; i < values.length; i++) {
+            upper.push(Math.max(0, values[i] - (process.mean + K) + (upper[i - 1] || 0)));
+            lower.push(Math.max(0, (process.mean - K) - values[i] + (lower[i - 1] || 0)));
+
+            upperRun.push(upper[i] > 0 ? (upperRun[i - 1] || 0) + 1 : 0);
+            lowerRun.push(lower[i] > 0 ? (lowerRun[i - 1] || 0) + 1 : 0);
+        }
+
+        local.data.means.values = upper;
+        local.data.means.chart = 'C+';
+        local.data.means.n = local.data.means.values.length;
+        local.data.means.cl = 0;
+        local.data.means.ul = makeArrayOf(H, local.data.means.n);
+        local.data.means.ll = makeArrayOf(0, local.data.means.n);
+
+        local.data.ranges.values = lower;
+        local.data.ranges.chart = 'C-';
+        local.data.ranges.n = local.data.ranges.values.length;
+        local.data.ranges.cl = 0;
+        local.data.ranges.ul = makeArrayOf(H, local.data.ranges.n);
+        local.data.ranges.ll = makeArrayOf(0, local.data.ranges.n);
+
+
+        // Specify the min and max of each set, considering the control limits as well
+        local.data.means.max = d3.max([d3.max(local.data.means.values), H]);
+        local.data.means.min = 0;
+        local.data.ranges.max = d3.max([d3.max(local.data.ranges.values), H]);
+        local.data.ranges.min = 0;
+
+        local.data.means.exceptions = cusumTest(upper, upperRun, H, 'Upward', function(run, sum) {
+            return process.mean + K + sum / run;
+        });
+        local.data.ranges.exceptions = cusumTest(lower, lowerRun, H, 'Downward', function(run, sum) {
+            return process.mean - K - sum / run;
+        });
+
+        chartSetup();
+
+        drawLines();
+    };
+
+    // Generate a moving average and moving range chart, with a moving
+    // window of `options.movingSpan` points.  The first points average
+    // fewer values, so their limits are wider.
+    local.movingXBarRChart = function() {
+        local.verbose('Generating moving avg and moving range chart...');
+
+        var span = local.groupSize = options.movingSpan,
+            means = [],
+            ranges = [],
+            meanStarts = [],
+            rangeStarts = [],
+            rangePoints = [],
+            phaseValues = [],
+            sigmas = [];
+
+        if (!chartFactors('D4', span)) {
+            throw "Moving span must be between 2 and 10!";
+        }
+
+        // Average and range of the (up to) span most recent points.  The
+        // windows start over at the beginning of each phase.
+        phaseRanges().forEach(function(phase) {
+            var values = local.values.slice(phase[0], phase[1]);
+
+            meanStarts.push(means.length);
+            rangeStarts.push(ranges.length);
+            phaseValues.push(values);
+
+            for (var i = 0; i < values.length; i++) {
+                var points = values.slice(Math.max(0, i - span + 1), i + 1);
+
+                means.push(_.mean(points));
+
+                if (i > 0) {
+                    ranges.push(d3.max(points) - d3.min(points));
+                    rangePoints.push(means.length - 1);
+                }
+            }
+
+            // Overlapping windows share points, so the process standard
+            // deviation is estimated from the moving range of consecutive
+            // points rather than from the ranges of the windows.
+            sigmas.push(options.processSigma || _.mean(movingRanges(values)) / chartFactors('D2', 2));
+        });
+
+        local.data.means.values = means;
+        local.data.means.chart = 'mX';
+        local.data.means.n = local.data.means.values.length;
+        local.data.means.warmUp = span - 1;
+
+        local.data.ranges.values = ranges;
+        local.data.ranges.chart = 'mR';
+        local.data.ranges.n = local.data.ranges.values.length;
+        local.data.ranges.points = rangePoints;
+        local.data.ranges.warmUp = span - 2;
+
+        local.verbose(' - span: ' + span + ', sigma: ' + JSON.stringify(sigmas));
+
+        // Establish the central lines and the control limit values
+        // for the means and ranges charts of each phase.  Overlapping
+        // windows are correlated, so only the control limits themselves
+        // are tested.  The ranges of the warm-up windows span fewer
+        // points, so their central line is lower as well.
+        // NOTE: central lines can be overridden by `options.[control]`
+        phasedLimits(local.data.means, meanStarts, function(values, p) {
+            var xCL = options.xCL || _.mean(phaseValues[p]),
+                xUL = [],
+                xLL = [],
+                xSigma = [],
+                k;
+
+            for (var i = 0; i < values.length; i++) {
+                k = Math.min(i + 1, span);
+
+                xSigma.push(sigmas[p] / Math.sqrt(k));
+                xUL.push(xCL + 3 * xSigma[i]);
+                xLL.push(xCL - 3 * xSigma[i]);
+            }
+
+            return {
+                cl: xCL,
+                ul: xUL,
+                ll: xLL,
+                sigma: xSigma
+            };
+        }, [1]);
+
+        phasedLimits(local.data.ranges, rangeStarts, function(values, p) {
+            var rCL = [],
+                rUL = [],
+                rLL = [],
+                rSigma = [],
+                k;
+
+            for (var i = 0; i < values.length; i++) {
+                k = Math.min(i + 2, span);
+
+                rCL.push(options.rCL || chartFactors('D2', k) * sigmas[p]);
+                rUL.push(chartFactors('D4', k) * chartFactors('D2', k) * sigmas[p]);
+                rLL.push(chartFactors('D3', k) * chartFactors('D2', k) * sigmas[p]);
+                rSigma.push((chartFactors('D4', k) - 1) * chartFactors('D2', k) * sigmas[p] / 3);
+            }
+
+            return {
+                cl: rCL,
+                ul: rUL,
+                ll: rLL,
+                sigma: rSigma
+            };
+        }, [1]);
+
+
+        // Specify the min and max of each set, considering the control limits as well
+        local.data.means.max = d3.max([d3.max(local.data.means.values), d3.max(local.data.means.ul)]);
+        local.data.means.min = d3.min([d3.min(local.data.means.values), d3.min(local.data.means.ll)]);
+        local.data.ranges.max = d3.max([d3.max(local.data.ranges.values), d3.max(local.data.ranges.ul)]);
+        local.data.ranges.min = d3.min([d3.min(local.data.ranges.values), d3.min(local.data.ranges.ll)]);
+
+        // Display the means chart on the original scale of the data
+        backTransform(local.data.means);
+
+        // Flag the points outside of the specification limits
+        specTest(local.data.means, local.values.map(function(d) {
+            return [d];
+        }));
+
+        chartSetup();
+
+        drawLines();
+    };
+
+    // Generate an individuals and moving range chart
+    local.indivMovingRangeChart = function() {
+        local.verbose('Generating individuals and moving range chart...');
+
+        var values = [],
+            ranges = [],
+            valueStarts = [],
+            rangeStarts = [],
+            rangePoints = [];
+
+        local.groupSize = 1;
+
+        // Moving ranges never span phases.  Each is drawn under the
+        // second of its two points.
+        phaseRanges().forEach(function(phase) {
+            var phaseValues = local.values.slice(phase[0], phase[1]);
+
+            valueStarts.push(values.length);
+            rangeStarts.push(ranges.length);
+            rangePoints = rangePoints.concat(_.range(values.length + 1, values.length + phaseValues.length));
+
+            values = values.concat(phaseValues);
+            ranges = ranges.concat(movingRanges(phaseValues));
+        });
+
+        local.data.means.excluded = excludedPoints(_.range(values.length));
+
+        local.data.means.values = values;
+        local.data.means.chart = 'X';
+        local.data.means.n = local.data.means.values.length;
+
+        local.data.ranges.values = ranges;
+        local.data.ranges.chart = 'mR';
+        local.data.ranges.n = local.data.ranges.values.length;
+        local.data.ranges.points = rangePoints;
+
+
+        // Establish the central lines and the control limit values
+        // for the individuals and moving ranges charts of each phase.
+        // Limits are based on the average moving range of consecutive
+        // points.  Excluding a point also excludes the moving ranges on
+        // either side of it, within its phase.
+        // NOTE: control limits can be overridden by `options.[control]`
+        linkedLimits(function(excluded) {
+            var retArr = [];
+
+            excluded.forEach(function(i) {
+                var p = _.sortedIndex(valueStarts, i + 1) - 1,
+                    k = i - valueStarts[p],
+                    end = (p + 1 < valueStarts.length) ? valueStarts[p + 1] : values.length;
+
+                if (k > 0) {
+                    retArr.push(rangeStarts[p] + k - 1);
+                }
+
+                if (valueStarts[p] + k < end - 1) {
+                    retArr.push(rangeStarts[p] + k);
+                }
+            });
+
+            return _.uniq(retArr);
+        }, function() {
+            phasedLimits(local.data.ranges, rangeStarts, function(values) {
+                var rCL = options.rCL || _.mean(values);
+
+                return {
+                    cl: rCL,
+                    ul: options.rUL || chartFactors('D4', 2) * rCL,
+                    ll: options.rLL || chartFactors('D3', 2) * rCL,
+                    sigma: (chartFactors('D4', 2) - 1) * rCL / 3
+                };
+            });
+
+            phasedLimits(local.data.means, valueStarts, function(values, p) {
+                var xCL = options.xCL || _.mean(values),
+                    rCL = local.data.ranges.phases[p].cl;
+
+                return {
+                    cl: xCL,
+                    ul: options.xUL || xCL + chartFactors('A2', 1) * rCL,
+                    ll: options.xLL || xCL - chartFactors('A2', 1) * rCL,
+                    sigma: chartFactors('A2', 1) * rCL / 3
+                };
+            }, undefined, options.bRecalculate);
+        });
+
+
+        // Specify the min and max of each set, considering the control limits as well
+        local.data.means.max = d3.max([d3.max(local.data.means.values), d3.max(local.data.means.ul)]);
+        local.data.means.min = d3.min([d3.min(local.data.means.values), d3.min(local.data.means.ll)]);
+        local.data.ranges.max = d3.max([d3.max(local.data.ranges.values), d3.max(local.data.ranges.ul)]);
+        local.data.ranges.min = d3.min([d3.min(local.data.ranges.values), d3.min(local.data.ranges.ll)]);
+
+        // Display the means chart on the original scale of the data
+        backTransform(local.data.means);
+
+        // Flag the points outside of the specification limits
+        specTest(local.data.means, values.map(function(d) {
+            return [d];
+        }));
+
+        chartSetup();
+
+        drawLines();
+    };
+
+    // Generate an np chart
+    local.npChart = function() {
+        local.verbose('Generating np chart...');
+
+        var npCL, npUL, npLL, pBar, sigma,
+            counts = local.counts,
+            n = options.sampleSize || options.groupSize;
+
+        if (!n) {
+            throw "Sample size must be set!";
+        }
+
+        local.bSinglePanel = true;
+
+        local.data.means.values = counts;
+        local.data.means.chart = 'np';
+        local.data.means.n = local.data.means.values.length;
+
+
+        // Establish the central line as the average number of
+        // defectives per subgroup, with binomial control limits.
+        // NOTE: control limits can be overridden by `options.[control]`
+        npCL = local.data.means.cl = options.xCL || _.sum(counts) / counts.length;
+
+        pBar = npCL / n;
+        sigma = Math.sqrt(npCL * (1 - pBar));
+
+        npUL = local.data.means.ul = options.xUL || Math.min(n, npCL + 3 * sigma);
+        npLL = local.data.means.ll = options.xLL || Math.max(0, npCL - 3 * sigma);
+        npUL = local.data.means.ul = makeArrayOf(npUL, local.data.means.n);
+        npLL = local.data.means.ll = makeArrayOf(npLL, local.data.means.n);
+
+
+        // Specify the min and max of the set, considering the control limits as well
+        local.data.means.max = d3.max([d3.max(local.data.means.values), d3.max(local.data.means.ul)]);
+        local.data.means.min = d3.min([d3.min(local.data.means.values), d3.min(local.data.means.ll)]);
+
+        local.data.means.sigma = makeArrayOf(sigma, local.data.means.n);
+        local.data.means.exceptions = variationTest(counts, npCL, npUL, npLL, sigma);
+        local.data.means.rules = ruleSet();
+
+        chartSetup();
+
+        drawLines();
+    };
+
+    // Generate the p and u charts, and their Laney versions.  These
+    // differ only in the standard deviation of each subgroup, binomial
+    // for the proportion of defectives (p) and poisson for the number
+    // of defects per unit (u).  The Laney charts widen the limits by
+    // the variation between subgroups (sigma z).
+    function rateChart(kind, bLaney) {
+        var CL, UL = [], LL = [], sigmas = [], sigmaZ,
+            counts = local.counts,
+            sizes = local.sizes,
+            rates = [];
+
+        if (_.contains(sizes, null) || _.contains(sizes, undefined)) {
+            throw "Sample size must be set for each subgroup!";
+        }
+
+        for (var i = 0; i < counts.length; i++) {
+            rates.push(counts[i] / sizes[i]);
+        }
+
+        local.bSinglePanel = true;
+
+        local.data.means.values = rates;
+        local.data.means.chart = kind + (bLaney ? '\'' : '');
+        local.data.means.n = local.data.means.values.length;
+
+
+        // Establish the central line as the overall rate.  Each subgroup
+        // gets its own control limits based upon its sample size.
+        // NOTE: the central line can be overridden by `options.xCL`
+        CL = local.data.means.cl = options.xCL || _.sum(counts) / _.sum(sizes);
+
+        for (i = 0; i < sizes.length; i++) {
+            sigmas.push(Math.sqrt(((kind === 'p') ? CL * (1 - CL) : CL) / sizes[i]));
+        }
+
+        if (bLaney) {
+            sigmaZ = local.data.means.sigmaZ = laneySigmaZ(rates, CL, sigmas);
+
+            sigmas = sigmas.map(function(sigma) {
+                return sigma * sigmaZ;
+            });
+        } else if (options.bOverdispersion && bOverdispersed(rates, CL, sigmas)) {
+            // With large sample sizes, overdispersed data would have nearly
+            // every point flagged, so the Laney chart is used instead
+            local.verbose(' - Variation between subgroups exceeds the ' + ((kind === 'p') ? 'binomial' : 'poisson') +
+                ' distribution. Switching to Laney ' + kind + '\' chart.');
+
+            local[(kind === 'p') ? 'laneyPChart' : 'laneyUChart']();
+            return;
+        }
+
+        // A proportion can't exceed one, and neither can be negative
+        for (i = 0; i < sizes.length; i++) {
+            UL.push((kind === 'p') ? Math.min(1, CL + 3 * sigmas[i]) : CL + 3 * sigmas[i]);
+            LL.push(Math.max(0, CL - 3 * sigmas[i]));
+        }
+
+        local.data.means.ul = UL;
+        local.data.means.ll = LL;
+
+
+        // Specify the min and max of the set, considering the control limits as well
+        local.data.means.max = d3.max([d3.max(local.data.means.values), d3.max(local.data.means.ul)]);
+        local.data.means.min = d3.min([d3.min(local.data.means.values), d3.min(local.data.means.ll)]);
+
+        local.data.means.sigma = sigmas;
+        local.data.means.exceptions = variationTest(rates, CL, UL, LL, sigmas);
+        local.data.means.rules = ruleSet();
+
+        chartSetup();
+
+        drawLines();
+    }
+
+    // Generate p chart
+    local.pChart = function() {
+        local.verbose('Generating p chart...');
+
+        rateChart('p', false);
+    };
+
+    // Generate Laney p' chart
+    local.laneyPChart = function() {
+        local.verbose('Generating Laney p\' chart...');
+
+        rateChart('p', true);
+    };
+
+    // Generate c chart
+    local.cChart = function() {
+        local.verbose('Generating c chart...');
+
+        var cCL, cUL, cLL,
+            counts = local.counts;
+
+        local.bSinglePanel = true;
+
+        local.data.means.values = counts;
+        local.data.means.chart = 'c';
+        local.data.means.n = local.data.means.values.length;
+
+
+        // Establish the central line as the average number of defects
+        // per inspection unit, with poisson control limits.
+        // NOTE: control limits can be overridden by `options.[control]`
+        cCL = local.data.means.cl = options.xCL || _.sum(counts) / counts.length;
+
+        cUL = local.data.means.ul = options.xUL || cCL + 3 * Math.sqrt(cCL);
+        cLL = local.data.means.ll = options.xLL || Math.max(0, cCL - 3 * Math.sqrt(cCL));
+        cUL = local.data.means.ul = makeArrayOf(cUL, local.data.means.n);
+        cLL = local.data.means.ll = makeArrayOf(cLL, local.data.means.n);
+
+
+        // Specify the min and max of the set, considering the control limits as well
+        local.data.means.max = d3.max([d3.max(local.data.means.values), d3.max(local.data.means.ul)]);
+        local.data.means.min = d3.min([d3.min(local.data.means.values), d3.min(local.data.means.ll)]);
+
+        local.data.means.sigma = makeArrayOf(Math.sqrt(cCL), local.data.means.n);
+        local.data.means.exceptions = variationTest(counts, cCL, cUL, cLL, local.data.means.sigma);
+        local.data.means.rules = ruleSet();
+
+        chartSetup();
+
+        drawLines();
+    };
+
+    // Generate u chart
+    local.uChart = function() {
+        local.verbose('Generating u chart...');
+
+        rateChart('u', false);
+    };
+
+    // Generate Laney u' chart
+    local.laneyUChart = function() {
+        local.verbose('Generating Laney u\' chart...');
+
+        rateChart('u', true);
+    };
+
+    // Generate g chart for the number of opportunities between rare
+    // events, with limits based on the geometric distribution
+    local.gChart = function() {
+        local.verbose('Generating g chart...');
+
+        var gCL, gUL, gLL, tests,
+            intervals = eventIntervals().map(Math.floor);
+
+        local.bSinglePanel = true;
+
+        local.data.means.values = intervals;
+        local.data.means.chart = 'g';
+        local.data.means.n = local.data.means.values.length;
+
+
+        // Establish the central line as the average number of opportunities
+        // between events.
+        // NOTE: control limits can be overridden by `options.[control]`
+        gCL = local.data.means.cl = options.xCL || _.mean(intervals);
+
+        gUL = local.data.means.ul = options.xUL || gCL + 3 * Math.sqrt(gCL * (gCL + 1));
+        gLL = local.data.means.ll = options.xLL || Math.max(0, gCL - 3 * Math.sqrt(gCL * (gCL + 1)));
+        gUL = local.data.means.ul = makeArrayOf(gUL, local.data.means.n);
+        gLL = local.data.means.ll = makeArrayOf(gLL, local.data.means.n);
+
+
+        // Specify the min and max of the set, considering the control limits as well
+        local.data.means.max = d3.max([d3.max(local.data.means.values), d3.max(local.data.means.ul)]);
+        local.data.means.min = d3.min([d3.min(local.data.means.values), d3.min(local.data.means.ll)]);
+
+        // The geometric distribution is heavily skewed, so points below
+        // the central line can never be far from it in sigmas.  Unless
+        // tests are specified, the sigma zone tests are left out.
+        tests = options.tests || _.intersection(ruleSet().tests, [1, 2, 3, 4, 9]);
+
+        local.data.means.sigma = makeArrayOf(Math.sqrt(gCL * (gCL + 1)), local.data.means.n);
+        local.data.means.exceptions = variationTest(intervals, gCL, gUL, gLL, local.data.means.sigma, tests);
+        local.data.means.rules = ruleSet(tests);
+
+        chartSetup();
+
+        drawLines();
+    };
+
+    // Generate t chart for the time between rare events.  The skewed
+    // times are transformed to be roughly normal, charted as individuals,
+    // and the limits are transformed back to the original time scale.
+    local.tChart = function() {
+        local.verbose('Generating t chart...');
+
+        var yCL, yUL, yLL, mrBar,
+            exponent = options.eventShape / 3.6,
+            intervals = eventIntervals(),
+            transformed = intervals.map(function(d) {
+                return Math.pow(d, exponent);
+            }),
+            untransform = function(d) {
+                return Math.pow(Math.max(0, d), 1 / exponent);
+            };
+
+        local.bSinglePanel = true;
+
+        local.data.means.values = intervals;
+        local.data.means.chart = 't';
+        local.data.means.n = local.data.means.values.length;
+
+
+        // Establish the central line and the control limits on the
+        // transformed scale using the average moving range
+        mrBar = _.mean(movingRanges(transformed));
+
+        yCL = _.mean(transformed);
+        yUL = makeArrayOf(yCL + chartFactors('A2', 1) * mrBar, local.data.means.n);
+        yLL = makeArrayOf(yCL - chartFactors('A2', 1) * mrBar, local.data.means.n);
+
+        local.data.means.cl = untransform(yCL);
+        local.data.means.ul = yUL.map(untransform);
+        local.data.means.ll = yLL.map(untransform);
+
+
+        // Specify the min and max of the set, considering the control limits as well
+        local.data.means.max = d3.max([d3.max(local.data.means.values), d3.max(local.data.means.ul)]);
+        local.data.means.min = d3.min([d3.min(local.data.means.values), d3.min(local.data.means.ll)]);
+
+        // The transformed times are symmetrical, so test those instead.
+        // Sigma is given on the transformed scale as well.
+        local.data.means.sigma = makeArrayOf(chartFactors('A2', 1) * mrBar / 3, local.data.means.n);
+        local.data.means.exceptions = variationTest(transformed, yCL, yUL, yLL, local.data.means.sigma);
+
+        // The sigma zones are found on the transformed scale as well
+        local.data.means.levels = _.object(_.map(sigmaLevels({
+            cl: yCL,
+            n: local.data.means.n,
+            ul: yUL,
+            ll: yLL,
+            sigma: local.data.means.sigma
+        }), function(level, k) {
+            return [k, level.map(untransform)];
+        }));
+        local.data.means.rules = ruleSet();
+
+        chartSetup();
+
+        drawLines();
+    };
+
+    // Draw chart lines
+    function drawLines() {
+
+        // Shade the warm-up region of moving charts, where fewer points
+        // have been averaged and the limits are wider
+        drawWarmUp(local.mean, local.data.means);
+
+        if (!local.bSinglePanel) {
+            drawWarmUp(local.range, local.data.ranges);
+        }
+
+        // Add the sigma zones and warning lines between the control limits
+        drawZones(local.mean, local.data.means);
+
+        if (!local.bSinglePanel) {
+            drawZones(local.range, local.data.ranges);
+        }
+
+        // Mark where each phase begins
+        drawPhases(local.mean, local.data.means, true);
+
+        if (!local.bSinglePanel) {
+            drawPhases(local.range, local.data.ranges);
+        }
+
+        // Add the specification limits and target to the means chart
+        drawSpecs(local.mean, local.data.means);
+
+        // Mark the points excluded from the limits
+        drawExcluded(local.mean, local.data.means);
+
+        if (!local.bSinglePanel) {
+            drawExcluded(local.range, local.data.ranges);
+        }
+
+        local.meansGenerator = d3.svg.line()
+            .interpolate(options.interpolation)
+            .x(function (d,i) {
+                return local.mean.x(i);
+            })
+            .y(function (d) {
+                return local.mean.y(d);
+            });
+
+        local.meansControlGenerator = d3.svg.line()
+            .interpolate('step-after')
+            .x(function (d,i) {
+                return local.mean.x(i);
+            })
+            .y(function (d) {
+                return local.mean.y(d);
+            });
+
+        local.rangesGenerator = d3.svg.line()
+            .interpolate(options.interpolation)
+            .defined(bDefined)
+            .x(function(d,i) {
+                return local.range.x(i);
+            })
+            .y(function(d) {
+                return local.range.y(d);
+            });
+
+        local.rangesControlGenerator = d3.svg.line()
+            .interpolate('step-after')
+            .defined(bDefined)
+            .x(function (d,i) {
+                return local.range.x(i);
+            })
+            .y(function (d) {
+                return local.range.y(d);
+            });
+
+        if (local.means) {
+            local.means
                 .transition().duration(options.duration)
-                .attr('d', function(d,i) {
-                    return local.rangesGenerator(local.data.ranges.values);
+                .attr("d", function (d,i) {
+                    return local.meansGenerator(local.data.means.values);
                 });
 
-            local.rangesCL
+            local.meansCL
                 .transition().duration(options.duration)
                 .attr('d', function(d,i) {
-                    return local.rangesGenerator(makeArrayOf(local.data.ranges.cl, local.data.ranges.n));
+                    return local.meansControlGenerator(centralLine(local.data.means));
                 });
 
-            local.rangesUL
+            local.meansUL
                 .transition().duration(options.duration)
                 .attr('d', function(d,i) {
-                    return local.rangesControlGenerator(local.data.ranges.ul);
+                    return local.meansControlGenerator(local.data.means.ul);
                 });
 
-            local.rangesLL
+            local.meansLL
                 .transition().duration(options.duration)
                 .attr('d', function(d,i) {
-                    return local.rangesControlGenerator(local.data.ranges.ll);
+                    return local.meansControlGenerator(local.data.means.ll);
                 });
 
-            local.rangeExceptions
+            local.meanExceptions
                 .transition()
                 .duration(options.duration)
                 .attr('cx', function(d) {
-                    return local.range.x(d[0]);
+                    return local.mean.x(d[0]);
                 })
                 .attr('cy', function(d) {
-                    return local.range.y(local.data.ranges.values[d[0]]);
+                    return local.mean.y(local.data.means.values[d[0]]);
                 });
         } else {
-            local.ranges = local.range
+            local.means = local.mean
                 .append("svg:path")
-                .attr('d', function(d,i) {
-                    return local.rangesGenerator(local.data.ranges.values);
+                .attr("d", function (d,i) {
+                    return local.meansGenerator(local.data.means.values);
                 })
                 .attr("class", "line");
 
-            local.rangesCL = local.range
+            local.meansCL = local.mean
                 .append('svg:path')
                 .attr('d', function(d,i) {
-                    return local.rangesGenerator(makeArrayOf(local.data.ranges.cl, local.data.ranges.n));
+                    return local.meansControlGenerator(centralLine(local.data.means));
                 })
                 .attr('class', 'line cl');
 
-            local.rangesUL = local.range
+            local.meansUL = local.mean
                 .append('svg:path')
                 .attr('d', function(d,i) {
-                    return local.rangesControlGenerator(local.data.ranges.ul);
+                    return local.meansControlGenerator(local.data.means.ul);
                 })
                 .attr('class', 'line ul');
 
-            local.rangesLL = local.range
+            local.meansLL = local.mean
                 .append('svg:path')
                 .attr('d', function(d,i) {
-                    return local.rangesControlGenerator(local.data.ranges.ll);
+                    return local.meansControlGenerator(local.data.means.ll);
                 })
                 .attr('class', 'line ll');
 
-            local.rangeExceptions = local.range.selectAll('exception')
-                .data(local.data.ranges.exceptions);
+            local.meanExceptions = local.mean.selectAll('exception')
+                .data(local.data.means.exceptions);
 
-            local.rangeExceptions.enter()
+            local.meanExceptions.enter()
                 .append('circle')
                 .attr('cx', function(d) {
-                    return local.range.x(d[0]);
+                    return local.mean.x(d[0]);
                 })
                 .attr('cy', function(d) {
-                    return local.range.y(local.data.ranges.values[d[0]]);
+                    return local.mean.y(local.data.means.values[d[0]]);
                 })
                 .attr('r', 2)
-                .attr('class', 'exception')
+                .attr('class', function(d) {
+                    return 'exception' + (d[2] ? ' ' + d[2] : '');
+                })
                 .append('svg:title')
                 .text(function(d) {
                     return d[1];
                 });
         }
 
+        // Attribute charts have no range chart to draw
+        if (!local.bSinglePanel) {
+            if (local.ranges) {
+                local.ranges
+                    .transition().duration(options.duration)
+                    .attr('d', function(d,i) {
+                        return local.rangesGenerator(atPoints(local.data.ranges, local.data.ranges.values));
+                    });
+
+                local.rangesCL
+                    .transition().duration(options.duration)
+                    .attr('d', function(d,i) {
+                        return local.rangesControlGenerator(atPoints(local.data.ranges, centralLine(local.data.ranges)));
+                    });
+
+                local.rangesUL
+                    .transition().duration(options.duration)
+                    .attr('d', function(d,i) {
+                        return local.rangesControlGenerator(atPoints(local.data.ranges, local.data.ranges.ul));
+                    });
+
+                local.rangesLL
+                    .transition().duration(options.duration)
+                    .attr('d', function(d,i) {
+                        return local.rangesControlGenerator(atPoints(local.data.ranges, local.data.ranges.ll));
+                    });
+
+                local.rangeExceptions
+                    .transition()
+                    .duration(options.duration)
+                    .attr('cx', function(d) {
+                        return pointX(local.range, local.data.ranges, d[0]);
+                    })
+                    .attr('cy', function(d) {
+                        return local.range.y(local.data.ranges.values[d[0]]);
+                    });
+            } else {
+                local.ranges = local.range
+                    .append("svg:path")
+                    .attr('d', function(d,i) {
+                        return local.rangesGenerator(atPoints(local.data.ranges, local.data.ranges.values));
+                    })
+                    .attr("class", "line");
+
+                local.rangesCL = local.range
+                    .append('svg:path')
+                    .attr('d', function(d,i) {
+                        return local.rangesControlGenerator(atPoints(local.data.ranges, centralLine(local.data.ranges)));
+                    })
+                    .attr('class', 'line cl');
+
+                local.rangesUL = local.range
+                    .append('svg:path')
+                    .attr('d', function(d,i) {
+                        return local.rangesControlGenerator(atPoints(local.data.ranges, local.data.ranges.ul));
+                    })
+                    .attr('class', 'line ul');
+
+                local.rangesLL = local.range
+                    .append('svg:path')
+                    .attr('d', function(d,i) {
+                        return local.rangesControlGenerator(atPoints(local.data.ranges, local.data.ranges.ll));
+                    })
+                    .attr('class', 'line ll');
+
+                local.rangeExceptions = local.range.selectAll('exception')
+                    .data(local.data.ranges.exceptions);
+
+                local.rangeExceptions.enter()
+                    .append('circle')
+                    .attr('cx', function(d) {
+                        return pointX(local.range, local.data.ranges, d[0]);
+                    })
+                    .attr('cy', function(d) {
+                        return local.range.y(local.data.ranges.values[d[0]]);
+                    })
+                    .attr('r', 2)
+                    .attr('class', function(d) {
+                        return 'exception' + (d[2] ? ' ' + d[2] : '');
+                    })
+                    .append('svg:title')
+                    .text(function(d) {
+                        return d[1];
+                    });
+            }
+        }
+
+    }
+
+    // Draw (or update) the shaded warm-up region at the start of each
+    // phase of a chart area
+    function drawWarmUp(area, set) {
+        if (!set.warmUp) {
+            return;
+        }
+
+        var top = d3.min(area.y.range()),
+            bottom = d3.max(area.y.range()),
+            phases = set.phases || [{ start: 0, end: set.n }];
+
+        if (!area.warmUp) {
+            area.warmUp = phases.map(function() {
+                return area.insert('svg:rect', ':first-child')
+                    .attr('class', 'warm-up');
+            });
+        }
+
+        area.warmUp.forEach(function(rect, i) {
+            var start = phases[i].start,
+                end = Math.min(start + set.warmUp, phases[i].end - 1);
+
+            rect
+                .transition().duration(options.duration)
+                .attr('x', pointX(area, set, start))
+                .attr('y', top)
+                .attr('width', pointX(area, set, end) - pointX(area, set, start))
+                .attr('height', bottom - top);
+        });
+    }
+
+
+    // Draw (or update) the phase breaks of a chart area, with the phase
+    // labels over the means chart
+    function drawPhases(area, set, bLabels) {
+        if (!set.phases || set.phases.length < 2) {
+            return;
+        }
+
+        var top = d3.min(area.y.range()),
+            bottom = d3.max(area.y.range()),
+            phases = set.phases.slice(1);
+
+        if (!area.phaseBreaks) {
+            area.phaseBreaks = phases.map(function() {
+                return area.append('svg:line')
+                    .attr('class', 'phase-break');
+            });
+
+            if (bLabels) {
+                area.phaseLabels = set.phases.map(function(phase, i) {
+                    var label = area.append('text')
+                        .attr('class', 'phase-label')
+                        .text('Phase ' + (i + 1));
+
+                    label.append('svg:title')
+                        .text('From ' + phase.key);
+
+                    return label;
+                });
+            }
+        }
+
+        area.phaseBreaks.forEach(function(line, i) {
+            line
+                .transition().duration(options.duration)
+                .attr('x1', phaseX(phases[i]))
+                .attr('x2', phaseX(phases[i]))
+                .attr('y1', top)
+                .attr('y2', bottom);
+        });
+
+        (area.phaseLabels || []).forEach(function(label, i) {
+            label
+                .transition().duration(options.duration)
+                .attr('x', phaseX(set.phases[i]) + 3)
+                .attr('y', top + 8);
+        });
+
+        // A phase of moving ranges starts at the first point of the
+        // phase, the one before its first range
+        function phaseX(phase) {
+            return area.x(set.points ? set.points[phase.start] - 1 : phase.start);
+        }
+    }
+
+    // The values of each sigma line (-3 to 3) at every point of a set,
+    // from the sigma of each point.  The lines stay within the control
+    // limits, which may be clamped (i.e. at zero for counts).
+    function sigmaLevels(set) {
+        var levels = {},
+            cl = centralLine(set);
+
+        _.range(-3, 4).forEach(function(k) {
+            levels[k] = set.sigma.map(function(sigma, i) {
+                return Math.max(set.ll[i], Math.min(set.ul[i], cl[i] + k * sigma));
+            });
+        });
+
+        return levels;
+    }
+
+
+    // Draw (or update) the specification limit and target lines
+    function drawSpecs(area, set) {
+        var specs = [['usl', 'benchmark'], ['lsl', 'benchmark'], ['target', 'target']].filter(function(spec) {
+            return options[spec[0]] !== null && options[spec[0]] !== undefined;
+        });
+
+        var lineGenerator = d3.svg.line()
+            .x(function(d,i) {
+                return area.x(i);
+            })
+            .y(function(d) {
+                return area.y(d);
+            });
+
+        // Join on the name of each spec, so that specs can be added or
+        // removed between redraws
+        var lines = area.selectAll('g.spec')
+            .data(specs, function(d) {
+                return d[0];
+            });
+
+        lines.enter()
+            .append('svg:g')
+            .attr('class', function(d) {
+                return 'spec ' + d[1] + ' ' + d[0];
+            })
+            .append('svg:path')
+            .attr('class', 'line');
+
+        lines.exit()
+            .remove();
+
+        lines.select('path.line')
+            .transition().duration(options.duration)
+            .attr('d', function(d) {
+                return lineGenerator(makeArrayOf(options[d[0]], set.n));
+            });
+    }
+
+    // Draw (or update) the markers for points excluded from the limits
+    function drawExcluded(area, set) {
+        if (!set.excluded || set.excluded.length === 0) {
+            return;
+        }
+
+        if (!area.excluded) {
+            area.excluded = area.selectAll('excluded')
+                .data(set.excluded);
+
+            area.excluded.enter()
+                .append('circle')
+                .attr('r', 3)
+                .attr('class', 'excluded')
+                .append('svg:title')
+                .text('Excluded from the control limits.');
+        }
+
+        area.excluded
+            .transition()
+            .duration(options.duration)
+            .attr('cx', function(d) {
+                return pointX(area, set, d);
+            })
+            .attr('cy', function(d) {
+                return area.y(set.values[d]);
+            });
+    }
+
+    // Draw (or update) the sigma zones and warning lines for a chart
+    // area, from the sigma of each point given by the chart.  Those
+    // turned off since the last draw are removed.
+    function drawZones(area, set) {
+        if (!options.bZones && area.zones) {
+            area.zones.forEach(function(path) {
+                path.remove();
+            });
+            area.zones = null;
+        }
+
+        if (!options.bWarningLines && area.warnings) {
+            area.warnings.forEach(function(path) {
+                path.remove();
+            });
+            area.warnings = null;
+        }
+
+        // Charts without a sigma for each point (i.e. cusum) have no zones
+        if ((!options.bZones && !options.bWarningLines) || (!set.levels && !set.sigma)) {
+            return;
+        }
+
+        var levels = set.levels || sigmaLevels(set),
+            zones = [['a', 2, 3], ['b', 1, 2], ['c', -1, 1], ['b', -2, -1], ['a', -3, -2]],
+            warnings = [2, 1, -1, -2];
+
+        var lineGenerator = d3.svg.line()
+            .interpolate('step-after')
+            .defined(bDefined)
+            .x(function(d,i) {
+                return area.x(i);
+            })
+            .y(function(d) {
+                return area.y(d);
+            });
+
+        var zoneGenerator = d3.svg.area()
+            .interpolate('step-after')
+            .defined(function(d) {
+                return bDefined(d[0]);
+            })
+            .x(function(d,i) {
+                return area.x(i);
+            })
+            .y0(function(d) {
+                return area.y(d[0]);
+            })
+            .y1(function(d) {
+                return area.y(d[1]);
+            });
+
+        if (options.bZones) {
+            if (!area.zones) {
+                area.zones = zones.map(function(zone) {
+                    return area.insert('svg:path', ':first-child')
+                        .attr('class', 'zone ' + zone[0]);
+                });
+            }
+
+            area.zones.forEach(function(path, i) {
+                path
+                    .transition().duration(options.duration)
+                    .attr('d', zoneGenerator(_.zip(atPoints(set, levels[zones[i][1]]), atPoints(set, levels[zones[i][2]]))));
+            });
+        }
+
+        if (options.bWarningLines) {
+            if (!area.warnings) {
+                area.warnings = warnings.map(function(k) {
+                    return area.append('svg:path')
+                        .attr('class', 'line warning sigma' + Math.abs(k));
+                });
+            }
+
+            area.warnings.forEach(function(path, i) {
+                path
+                    .transition().duration(options.duration)
+                    .attr('d', lineGenerator(atPoints(set, levels[warnings[i]])));
+            });
+        }
     }
 
     // Small utility function for populating arrays
@@ -750,13 +3196,176 @@ function spc(selector, data, options) {
     }
 
 
+    // Two-sided p-value of the Wald-Wolfowitz runs test for the observed
+    // number of runs, given the number of points on either side of the
+    // central line
+    function runsProbability(runs, n1, n2) {
+        var n = n1 + n2,
+            mean, variance, z, lower = 0, upper = 0;
+
+        // Use the normal approximation (with a continuity correction)
+        // once the samples are too large for the exact tables
+        if (n1 > 20 || n2 > 20) {
+            mean = 2 * n1 * n2 / n + 1;
+            variance = 2 * n1 * n2 * (2 * n1 * n2 - n) / (n * n * (n - 1));
+            z = (Math.abs(runs - mean) - 0.5) / Math.sqrt(variance);
+
+            return Math.min(1, 2 * (1 - normalCDF(Math.max(0, z))));
+        }
+
+        // The binomial coefficient (calculated through its log to avoid
+        // overflow), which is zero outside of its domain
+        var choose = function(a, b) {
+            if (b < 0 || b > a) {
+                return 0;
+            }
+
+            return Math.exp(lnGamma(a + 1) - lnGamma(b + 1) - lnGamma(a - b + 1));
+        };
+
+        // Exact probability of exactly r runs
+        var probability = function(r) {
+            var k = Math.floor(r / 2);
+
+            if (r % 2 === 0) {
+                return 2 * choose(n1 - 1, k - 1) * choose(n2 - 1, k - 1) / choose(n, n1);
+            }
+
+            return (choose(n1 - 1, k - 1) * choose(n2 - 1, k) + choose(n1 - 1, k) * choose(n2 - 1, k - 1)) / choose(n, n1);
+        };
+
+        for (var r = 2; r <= n; r++) {
+            if (r <= runs) {
+                lower += probability(r);
+            }
+
+            if (r >= runs) {
+                upper += probability(r);
+            }
+        }
+
+        return Math.min(1, 2 * Math.min(lower, upper));
+    }
+
+
+    // Determine the tests and parameters to use for special cause
+    // variation, from the rule set in `options.rules` and any
+    // overrides.  Specifying the tests directly takes precedence.
+    function ruleSet(testArray) {
+        var sets = {
+            'default': {
+                tests: [1,2,3,4,5,6,7,8],
+                params: { runLength: 8, trendLength: 6, stratificationLength: 15, mixtureLength: 8, alternatingLength: 14, runsAlpha: 0.05 }
+            },
+            nelson: {
+                tests: [1,2,4,9,5,6,7,8],
+                params: { runLength: 9, trendLength: 6, stratificationLength: 15, mixtureLength: 8, alternatingLength: 14, runsAlpha: 0.05 }
+            },
+            weco: {
+                tests: [1,5,6,2],
+                params: { runLength: 8, trendLength: 6, stratificationLength: 15, mixtureLength: 8, alternatingLength: 14, runsAlpha: 0.05 }
+            },
+            aiag: {
+                tests: [1,2,4],
+                params: { runLength: 7, trendLength: 7, stratificationLength: 15, mixtureLength: 8, alternatingLength: 14, runsAlpha: 0.05 }
+            },
+            montgomery: {
+                tests: [1,5,6,2,4,7,9,8],
+                params: { runLength: 8, trendLength: 6, stratificationLength: 15, mixtureLength: 8, alternatingLength: 14, runsAlpha: 0.05 }
+            }
+        };
+
+        var set = sets[options.rules];
+
+        if (!set) {
+            throw "Specified rule set does not exist.";
+        }
+
+        return {
+            name: options.rules,
+            tests: testArray || options.tests || set.tests,
+            params: _.extend({}, set.params, options.ruleParams)
+        };
+    }
+
+
     // Tests for non-random, special cause variation.
     // tests to data array to test, the control limits
     // and the test(s) to run.  If no tests are specified, all
     // tests will be run.
-    function variationTest(array, CL, UCL, LCL, testArray) {
+    function variationTest(array, CL, UCL, LCL, sigma, testArray) {
         local.verbose('Testing data for special cause variation...');
 
+        var rules = ruleSet(testArray),
+            params = rules.params;
+
+        // The zone tests need to know how many sigmas each point is from
+        // the central line.  The chart gives the sigma of each point, as
+        // the control limits may be clamped (i.e. at zero for counts).
+        sigma = _.isArray(sigma) ? sigma : makeArrayOf(sigma, array.length);
+
+        // The central line may also be given for each point
+        var cl = _.isArray(CL) ? CL : makeArrayOf(CL, array.length);
+
+        var zone = function(i) {
+            return (array[i] - cl[i]) / sigma[i];
+        };
+
+        // Flag every point of the range [start, end] that passes the
+        // filter, without flagging the same point twice for one test
+        var flag = function(exceptions, start, end, message, filter) {
+            for (var i = start; i <= end; i++) {
+                if ((!filter || filter(i)) && !_.find(exceptions, function(e) { return e[0] === i; })) {
+                    exceptions.push([i, message]);
+                }
+            }
+        };
+
+        // Find runs of at least `length` consecutive points that pass
+        // the filter, and flag every point of each run along with the
+        // `lead` points before it
+        var runs = function(exceptions, length, message, filter, lead) {
+            var runLength = 0,
+                count = 0;
+
+            for (var i = 0; i < array.length; i++) {
+                runLength = filter(i) ? runLength + 1 : 0;
+
+                if (runLength === length) {
+                    count++;
+                    flag(exceptions, i - length + 1 - (lead || 0), i, message);
+                } else if (runLength > length) {
+                    flag(exceptions, i, i, message);
+                }
+            }
+
+            return count;
+        };
+
+        // Find windows of `size` consecutive points where at least `count`
+        // points are beyond `sigmas` on the same side of the central line,
+        // and flag those points
+        var windows = function(exceptions, count, size, sigmas, message) {
+            var found = 0;
+
+            [1, -1].forEach(function(side) {
+                var beyond = function(i) {
+                    return zone(i) * side > sigmas;
+                };
+
+                for (var i = 0; i + size <= array.length; i++) {
+                    var end = i + size - 1;
+
+                    if (_.filter(_.range(i, end + 1), beyond).length >= count) {
+                        found++;
+                        flag(exceptions, i, end, message, beyond);
+                    }
+                }
+            });
+
+            return found;
+        };
+
         var tests = {
             // All tests return an exception array of **indeces** in the
             // the array that do not pass the test, not the values themselves
@@ -766,13 +3375,91 @@ function spc(selector, data, options) {
                 var exceptions = [];
 
                 for (var i = 0; i < array.length; i++) {
-                    if (array[i] > UCL[i] || array[i] < LCL[i]) {
-                        exceptions.push([i, 'Point outside of control limits.']);
+                    if (array[i] > UCL[i] || array[i] < LCL[i]) {
+                        exceptions.push([i, 'Point outside of control limits.']);
+                    }
+                }
+
+                if (exceptions.length > 0) {
+                    local.verbose(' - ' + exceptions.length + ' points outside of control limits...');
+
+                    return exceptions;
+                }
+
+                // If there are no exceptions, then the test passed (returns false)
+                return false;
+            },
+
+            // Find runs of significant length (>= `runLength` points above
+            // or below) the central line
+            2: function() {
+                var exceptions = [],
+                    found = 0;
+
+                found += runs(exceptions, params.runLength, 'Run of significant length.', function(i) {
+                    return array[i] >= cl[i];
+                });
+                found += runs(exceptions, params.runLength, 'Run of significant length.', function(i) {
+                    return array[i] < cl[i];
+                });
+
+                if (exceptions.length > 0) {
+                    local.verbose(' - ' + found + ' run(s) of significant length...');
+
+                    return exceptions;
+                }
+
+                // If there are no exceptions, then the test passed (returns false)
+                return false;
+
+            },
+
+            // Find significant number of runs (crossing the central
+            // line).  The first suspect here is ALWAYS tampering.
+            3: function() {
+
+                // The Wald-Wolfowitz runs test gives the probability of the
+                // observed number of runs, given the number of points above
+                // and below the central line.  The exact distribution is used
+                // for small samples, and the normal approximation otherwise.
+                var exceptions = [],
+                    runs = 1,
+                    above = 0,
+                    below = 0,
+                    highLow,
+                    expected,
+                    p;
+
+                for (var i = 0; i < array.length; i++) {
+                    if (array[i] >= cl[i]) {
+                        above++;
+                    } else {
+                        below++;
+                    }
+
+                    // Check to see if the current iteration and the previous
+                    // are on opposite sides of the central line
+                    if (i > 0 && (array[i-1] >= cl[i-1]) !== (array[i] >= cl[i])) {
+                        runs++;
                     }
                 }
 
+                // The test doesn't apply if every point is on one side
+                if (above === 0 || below === 0) {
+                    return false;
+                }
+
+                expected = 2 * above * below / (above + below) + 1;
+                p = runsProbability(runs, above, below);
+
+                if (p < params.runsAlpha) {
+                    highLow = (runs > expected) ? 'high' : 'low';
+                    exceptions.push([array.length - 1, 'Significantly ' + highLow + ' number of runs found (observed ' +
+                        runs + ', expected ' + expected.toFixed(1) + ', p = ' + p.toFixed(4) + ').']);
+                }
+
                 if (exceptions.length > 0) {
-                    local.verbose(' - ' + exceptions.length + ' points outside of control limits...');
+                    local.verbose(' - Significantly ' + highLow + ' number of runs (' + runs + ')...');
 
                     return exceptions;
                 }
@@ -781,82 +3468,73 @@ function spc(selector, data, options) {
                 return false;
             },
 
-            // Find runs of significant length (>= 8 points above or below)
-            // the central line
-            2: function() {
-                var runLength = 0,
-                    bPositive,
-                    exceptions = [],
-                    newRun = true;
+            // Identify significant trends: `trendLength` points or more in
+            // a row of increasing or decreasing values
+            4: function() {
+                var exceptions = [],
+                    found = 0;
 
-                for (var i = 0; i < array.length; i++) {
-                    if (i===0) {
-                        bPositive = (array[i] >= CL);
-                    } else {
-                        if ((array[i] >= CL) === bPositive) {
-                            runLength++;
-                        } else {
-                            runLength = 0;
-                            newRun = true;
-                            bPositive = (array[i] >= CL);
-                        }
-
-                        if (runLength >= 8 && newRun) {
-                            exceptions.push([i, 'Run of significant length.']);
-                            newRun = false;
-                        }
-                    }
-                }
+                // A trend of 6 points is made up of 5 consecutive changes
+                found += runs(exceptions, params.trendLength - 1, 'Significant trend identified.', function(i) {
+                    return i > 0 && array[i] > array[i - 1];
+                }, 1);
+                found += runs(exceptions, params.trendLength - 1, 'Significant trend identified.', function(i) {
+                    return i > 0 && array[i] < array[i - 1];
+                }, 1);
 
                 if (exceptions.length > 0) {
-                    local.verbose(' - ' + exceptions.length + ' run(s) of significant length...');
+                    local.verbose(' - ' + found + ' trends found...');
 
                     return exceptions;
                 }
 
                 // If there are no exceptions, then the test passed (returns false)
                 return false;
-
             },
 
-            // Find significant number of runs (crossing the central
-            // line).  The first suspect here is ALWAYS tampering.
-            3: function() {
-
-                // NOTE: this is a really dumb way of doing this and ultimately,
-                // this should be an actual statistical equation that dictates
-                // what a significant number of runs is for a given sample size.
-                // But for now, this will be determined using regression analysis
-                // of Swed & Eisenharts tables for testing randomness of grouping.
+            // Find 2 out of 3 consecutive points beyond 2 sigma on the
+            // same side of the central line
+            5: function() {
                 var exceptions = [],
-                    runs = 0,
-                    n = array.length,
-                    highLow,
-                    high = function(n) {
-                        return 0.6209 * n + 3.0801;
-                    }, low = function(n) {
-                        return 0.3791 * n + 2.5679;
-                    };
+                    found = windows(exceptions, 2, 3, 2, '2 of 3 points beyond 2 sigma.');
 
-                for (var i = 1; i < array.length; i++) {
-                    // Check to see if the current iteration and the previous
-                    // are oppositely signed
+                if (exceptions.length > 0) {
+                    local.verbose(' - ' + found + ' group(s) of 2 of 3 points beyond 2 sigma...');
 
-                    if ((array[i-1] - CL < 0) !== (array[i] - CL < 0)) {
-                        runs++;
-                    }
+                    return exceptions;
                 }
 
-                // Add one more for the tail run
-                runs++;
+                // If there are no exceptions, then the test passed (returns false)
+                return false;
+            },
+
+            // Find 4 out of 5 consecutive points beyond 1 sigma on the
+            // same side of the central line
+            6: function() {
+                var exceptions = [],
+                    found = windows(exceptions, 4, 5, 1, '4 of 5 points beyond 1 sigma.');
+
+                if (exceptions.length > 0) {
+                    local.verbose(' - ' + found + ' group(s) of 4 of 5 points beyond 1 sigma...');
 
-                if (runs >= high(n) || runs <= low(n)) {
-                    highLow = (runs >= high(n)) ? 'high' : 'low';
-                    exceptions.push([n-1, 'Significantly ' + highLow + ' number of runs found.']);
+                    return exceptions;
                 }
 
+                // If there are no exceptions, then the test passed (returns false)
+                return false;
+            },
+
+            // Find `stratificationLength` points in a row within 1 sigma of
+            // the central line (stratification)
+            7: function() {
+                var exceptions = [],
+                    message = 'Stratification: ' + params.stratificationLength + ' points in a row within 1 sigma.',
+                    found = runs(exceptions, params.stratificationLength, message, function(i) {
+                        return Math.abs(zone(i)) < 1;
+                    });
+
                 if (exceptions.length > 0) {
-                    local.verbose(' - Significantly ' + highLow + ' number of runs (' + runs + ')...');
+                    local.verbose(' - ' + found + ' run(s) of stratification...');
 
                     return exceptions;
                 }
@@ -865,33 +3543,39 @@ function spc(selector, data, options) {
                 return false;
             },
 
-            // Identify significant trends: 6 points or more in a row of
-            // increasing or decreasing values
-            4: function() {
+            // Find `mixtureLength` points in a row beyond 1 sigma on either
+            // side of the central line (mixture)
+            8: function() {
                 var exceptions = [],
-                    decreasingRun = 0,
-                    increasingRun = 0;
-
-                for (var i = 1; i < array.length; i++) {
-                    if (array[i] > array[i - 1]) {
-                        increasingRun++;
-                        decreasingRun = 0;
-                    } else if (array[i] < array[i - 1]) {
-                        decreasingRun++;
-                        increasingRun = 0;
-                    } // } else if (array[i] === array[i - 1]) {
-                    //     decreasingRun = 0;
-                    //     increasingRun = 0;
-                    // }
-
-                    if (increasingRun >= 6 || decreasingRun >= 6) {
-                        exceptions.push([i, 'Significant trend identified.']);
-                        increasingRun = decreasingRun = 0;
-                    }
+                    message = 'Mixture: ' + params.mixtureLength + ' points in a row beyond 1 sigma.',
+                    found = runs(exceptions, params.mixtureLength, message, function(i) {
+                        return Math.abs(zone(i)) > 1;
+                    });
+
+                if (exceptions.length > 0) {
+                    local.verbose(' - ' + found + ' run(s) of mixture...');
+
+                    return exceptions;
                 }
 
+                // If there are no exceptions, then the test passed (returns false)
+                return false;
+            },
+
+            // Find `alternatingLength` points in a row alternating up and down
+            9: function() {
+                var exceptions = [],
+                    message = params.alternatingLength + ' points in a row alternating up and down.',
+                    found;
+
+                // An alternating pattern of 14 points is made up of 12
+                // consecutive changes in direction
+                found = runs(exceptions, params.alternatingLength - 2, message, function(i) {
+                    return i > 1 && (array[i] - array[i - 1]) * (array[i - 1] - array[i - 2]) < 0;
+                }, 2);
+
                 if (exceptions.length > 0) {
-                    local.verbose(' - ' + exceptions.length + ' trends found...');
+                    local.verbose(' - ' + found + ' alternating pattern(s)...');
 
                     return exceptions;
                 }
@@ -901,12 +3585,38 @@ function spc(selector, data, options) {
             }
         };
 
-        // Run all tests if test(s) are not specified
-        testArray = testArray || [1,2,3,4];
+        // Add the custom rules registered with `spc.registerRule`.  Custom
+        // rules are given the same sigma of each point as the zone tests.
+        _.each(spc.rules, function(rule, id) {
+            tests[id] = function() {
+                var flagged = rule.fn(array, CL, UCL, LCL, sigma, params) || [],
+                    exceptions = flagged.map(function(d) {
+                        return _.isArray(d) ? d : [d, rule.meta.message];
+                    });
+
+                if (exceptions.length > 0) {
+                    local.verbose(' - ' + exceptions.length + ' point(s) flagged by ' + rule.meta.name + '...');
+
+                    return exceptions;
+                }
+
+                // If there are no exceptions, then the test passed (returns false)
+                return false;
+            };
+        });
+
+        // Run the tests of the rule set if test(s) are not specified
+        testArray = rules.tests;
 
-        results = [];
+        local.verbose(' - Using ' + rules.name + ' rules: ' + JSON.stringify(rules.params));
+
+        var results = [];
 
         for (var i = 0; i < testArray.length; i++) {
+            if (!tests[testArray[i]]) {
+                throw "Specified test does not exist.";
+            }
+
             var failed = tests[testArray[i]]();
             if (!failed) {
                 local.verbose(' - Test ' + testArray[i] + ' passed.');
@@ -916,11 +3626,37 @@ function spc(selector, data, options) {
             }
         }
 
-        results = _.uniq(results).sort();
+        results = results.sort(function(a, b) {
+            return a[0] - b[0];
+        });
 
         return results;
     }
 
+    // Find the points where a cumulative sum exceeds the decision
+    // interval.  The shift is estimated to have started just after
+    // the last point where the sum was zero.
+    function cusumTest(sums, runs, H, direction, shiftedMean) {
+        local.verbose('Testing cumulative sums for ' + direction.toLowerCase() + ' shifts...');
+
+        var exceptions = [],
+            start;
+
+        for (var i = 0; i < sums.length; i++) {
+            if (sums[i] > H) {
+                start = i - runs[i] + 1;
+
+                exceptions.push([i, direction + ' shift in the process mean, estimated to have started at point ' +
+                    start + ' (' + local.keys[start * local.groupSize] + ') with a new mean of ' +
+                    shiftedMean(runs[i], sums[i]).toFixed(3) + '.']);
+            }
+        }
+
+        local.verbose(' - ' + exceptions.length + ' point(s) beyond the decision interval...');
+
+        return exceptions;
+    }
+
     // Construct measure charts.  By specifying the boolean
     // values for individuals or moving changes the chart from
     // "Individual & Moving Range Charts", "Moving x-Bar & Moving
@@ -966,17 +3702,21 @@ function spc(selector, data, options) {
             .attr('width', local.width + 'px')
             .attr('height', local.height + 'px');
 
-        // setup the grouping for average and range chart areas
+        // setup the grouping for average and range chart areas.
+        // Attribute charts only have a single panel, so no range
+        // chart area is added for them.
         local.mean = local.svg.append('svg:g')
             .attr('class', 'average');
 
-        local.range = local.svg.append('svg:g')
-            .attr('class', 'range');
+        if (!local.bSinglePanel) {
+            local.range = local.svg.append('svg:g')
+                .attr('class', 'range');
+        }
 
         // establish scales
         local.mean.y  = d3.scale.linear()
-            .range([local.height*(5/8) - 25, 5])
-            .domain([local.data.means.min, local.data.means.max])
+            .range([meansBottom(), 5])
+            .domain(meansDomain())
             .nice();
 
         local.mean.x = d3.scale.linear()
@@ -984,15 +3724,16 @@ function spc(selector, data, options) {
             .domain([0, local.data.means.n - 1])
             .nice();
 
-        local.range.y  = d3.scale.linear()
-            .range([local.height - 5, local.height*(5/8) - 5])
-            .domain([local.data.ranges.min, local.data.ranges.max])
-            .nice();
+        if (!local.bSinglePanel) {
+            local.range.y  = d3.scale.linear()
+                .range([local.height - 5, local.height*(5/8) - 5])
+                .domain([local.data.ranges.min, local.data.ranges.max])
+                .nice();
 
-        local.range.x = d3.scale.linear()
-            .range([46, local.width])
-            .domain([0, local.data.ranges.n - 1])
-            .nice();
+            local.range.x = d3.scale.linear()
+                .range([46, local.width])
+                .domain(rangesXDomain());
+        }
 
 
         // add axes (only if width and length are large enough)
@@ -1008,37 +3749,39 @@ function spc(selector, data, options) {
                 .attr('transform', 'translate(45,0)')
                 .call(local.mean.yAxis);
 
-            local.range.yAxis = d3.svg.axis()
-                .scale(local.range.y)
-                .ticks(2)
-                .tickSubdivide(0)
-                .orient('left');
+            if (!local.bSinglePanel) {
+                local.range.yAxis = d3.svg.axis()
+                    .scale(local.range.y)
+                    .ticks(2)
+                    .tickSubdivide(0)
+                    .orient('left');
 
-            local.range.yAxisSVG = local.range.append('svg:g')
-                .attr('class', 'yRangeAxis axis')
-                .attr('transform', 'translate(45,0)')
-                .call(local.range.yAxis);
+                local.range.yAxisSVG = local.range.append('svg:g')
+                    .attr('class', 'yRangeAxis axis')
+                    .attr('transform', 'translate(45,0)')
+                    .call(local.range.yAxis);
+            }
         }
 
         if (local.height > 100) {
             // axis labels for Averages and Ranges
-            var units = (options.units) ? ' (' + options.units + ')' : '';
-
             local.mean.label = local.mean.append('text')
                 .attr('transform', 'rotate(-90,0,0)')
                 .attr('y', 10)
                 .attr('x', -1 * local.mean.y((local.data.means.max - local.data.means.min) / 2 + local.data.means.min))
                 .attr('class', 'mean-label')
                 .attr('text-anchor', 'middle')
-                .text(local.data.means.chart + units);
+                .text(axisLabel(local.data.means));
 
-            local.range.label = local.range.append('text')
-                .attr('transform', 'rotate(-90,0,0)')
-                .attr('y', 10)
-                .attr('x', -1 * local.range.y((local.data.ranges.max - local.data.ranges.min) / 2 + local.data.ranges.min))
-                .attr('class', 'range-label')
-                .attr('text-anchor', 'middle')
-                .text(local.data.ranges.chart + units);
+            if (!local.bSinglePanel) {
+                local.range.label = local.range.append('text')
+                    .attr('transform', 'rotate(-90,0,0)')
+                    .attr('y', 10)
+                    .attr('x', -1 * local.range.y((local.data.ranges.max - local.data.ranges.min) / 2 + local.data.ranges.min))
+                    .attr('class', 'range-label')
+                    .attr('text-anchor', 'middle')
+                    .text(axisLabel(local.data.ranges));
+            }
         }
 
         // add clip path for chart
@@ -1049,6 +3792,57 @@ function spc(selector, data, options) {
 
     }
 
+    // The domain of the means chart, which includes the specification
+    // limits and target so that they are always visible
+    function meansDomain() {
+        var values = [local.data.means.min, local.data.means.max, options.usl, options.lsl, options.target];
+
+        return d3.extent(values.filter(function(d) {
+            return d !== null && d !== undefined;
+        }));
+    }
+
+    // The x domain of the range chart, lined up with the means chart.
+    // Moving ranges are placed at their points of the means chart (see
+    // `atPoints`), so both charts share the same domain.
+    function rangesXDomain() {
+        return local.mean.x.domain();
+    }
+
+    // The values of a set at each point of the means chart, for drawing.
+    // Sets with `points` (i.e. moving ranges) have a value only at those
+    // points, leaving a gap (and so a break in the line) where each
+    // phase starts.
+    function atPoints(set, values) {
+        if (!set.points) {
+            return values;
+        }
+
+        var retArr = makeArrayOf(null, local.data.means.n);
+
+        set.points.forEach(function(point, i) {
+            retArr[point] = values[i];
+        });
+
+        return retArr;
+    }
+
+    // The x position of a point of a set, by its index in the set
+    function pointX(area, set, i) {
+        return area.x(set.points ? set.points[i] : i);
+    }
+
+    // Whether there is a value to draw at a point
+    function bDefined(d) {
+        return d !== null;
+    }
+
+    // The bottom of the means chart area.  The means chart takes
+    // up the full height when there is no range chart beneath it.
+    function meansBottom() {
+        return local.bSinglePanel ? local.height - 5 : local.height*(5/8) - 25;
+    }
+
     /*
      *  EXPOSED FUNCTIONS
      */
@@ -1076,8 +3870,8 @@ function spc(selector, data, options) {
 
         // establish scales to be used for charts
         local.mean.y
-            .range([local.height*(5/8) - 25, 5])
-            .domain([local.data.means.min, local.data.means.max])
+            .range([meansBottom(), 5])
+            .domain(meansDomain())
             .nice();
 
         local.mean.x
@@ -1085,20 +3879,21 @@ function spc(selector, data, options) {
             .domain([0, local.data.means.n - 1])
             .nice();
 
-        local.range.y
-            .range([local.height - 5, local.height*(5/8) - 5])
-            .domain([local.data.ranges.min, local.data.ranges.max])
-            .nice();
+        if (!local.bSinglePanel) {
+            local.range.y
+                .range([local.height - 5, local.height*(5/8) - 5])
+                .domain([local.data.ranges.min, local.data.ranges.max])
+                .nice();
 
-        local.range.x
-            .range([46, local.width - 5])
-            .domain([0, local.data.ranges.n - 1])
-            .nice();
+            local.range.x
+                .range([46, local.width - 5])
+                .domain(rangesXDomain());
+        }
 
 
         // add axes (only if width and length are large enough)
         if (local.height > 200) {
-            if (!local.mean.yAxis || !local.range.yAxis) {
+            if (!local.mean.yAxis) {
                 local.mean.yAxis = d3.svg.axis()
                     .scale(local.mean.y)
                     .ticks(2)
@@ -1109,17 +3904,6 @@ function spc(selector, data, options) {
                     .attr('class', 'yMeanAxis axis')
                     .attr('transform', 'translate(45,0)')
                     .call(local.mean.yAxis);
-
-                local.range.yAxis = d3.svg.axis()
-                    .scale(local.range.y)
-                    .ticks(2)
-                    .tickSubdivide(0)
-                    .orient('left');
-
-                local.range.yAxisSVG = local.range.append('svg:g')
-                    .attr('class', 'yRangeAxis axis')
-                    .attr('transform', 'translate(45,0)')
-                    .call(local.range.yAxis);
             } else {
                 local.mean.yAxis
                     .scale(local.mean.y);
@@ -1129,63 +3913,85 @@ function spc(selector, data, options) {
                     .duration(options.duration)
                     .attr('transform', 'translate(45,0)')
                     .call(local.mean.yAxis);
+            }
 
-                local.range.yAxis
-                    .scale(local.range.y);
-
-                local.range.yAxisSVG
-                    .transition()
-                    .duration(options.duration)
-                    .attr('transform', 'translate(45,0)')
-                    .call(local.range.yAxis);
+            if (!local.bSinglePanel) {
+                if (!local.range.yAxis) {
+                    local.range.yAxis = d3.svg.axis()
+                        .scale(local.range.y)
+                        .ticks(2)
+                        .tickSubdivide(0)
+                        .orient('left');
+
+                    local.range.yAxisSVG = local.range.append('svg:g')
+                        .attr('class', 'yRangeAxis axis')
+                        .attr('transform', 'translate(45,0)')
+                        .call(local.range.yAxis);
+                } else {
+                    local.range.yAxis
+                        .scale(local.range.y);
+
+                    local.range.yAxisSVG
+                        .transition()
+                        .duration(options.duration)
+                        .attr('transform', 'translate(45,0)')
+                        .call(local.range.yAxis);
+                }
             }
         } else {
-            if (local.mean.yAxisSVG && local.range.yAxisSVG) {
+            if (local.mean.yAxisSVG) {
                 local.mean.yAxisSVG.remove();
+                local.mean.yAxisSVG = undefined;
                 local.mean.yAxis = undefined;
+            }
 
+            if (local.range && local.range.yAxisSVG) {
                 local.range.yAxisSVG.remove();
+                local.range.yAxisSVG = undefined;
                 local.range.yAxis = undefined;
             }
         }
 
         if (local.height > 100) {
-            if (!local.mean.label || !local.range.label) {
-                // axis labels for Averages and Ranges
-                var units = (options.units) ? ' (' + options.units + ')' : '';
-
+            // axis labels for Averages and Ranges
+            if (!local.mean.label) {
                 local.mean.label = local.mean.append('text')
                     .attr('transform', 'rotate(-90,0,0)')
                     .attr('y', 10)
                     .attr('x', -1 * local.mean.y((local.data.means.max - local.data.means.min) / 2 + local.data.means.min))
                     .attr('class', 'mean-label')
                     .attr('text-anchor', 'middle')
-                    .text(local.data.means.chart + units);
-
-                local.range.label = local.range.append('text')
-                    .attr('transform', 'rotate(-90,0,0)')
-                    .attr('y', 10)
-                    .attr('x', -1 * local.range.y((local.data.ranges.max - local.data.ranges.min) / 2 + local.data.ranges.min))
-                    .attr('class', 'range-label')
-                    .attr('text-anchor', 'middle')
-                    .text(local.data.ranges.chart + units);
+                    .text(axisLabel(local.data.means));
             } else {
-                // axis labels for Averages and Ranges
                 local.mean.label
                     .transition()
                     .duration(options.duration)
                     .attr('x', -1 * local.mean.y((local.data.means.max - local.data.means.min) / 2 + local.data.means.min));
+            }
 
-                local.range.label
-                    .transition()
-                    .duration(options.duration)
-                    .attr('x', -1 * local.range.y((local.data.ranges.max - local.data.ranges.min) / 2 + local.data.ranges.min));
+            if (!local.bSinglePanel) {
+                if (!local.range.label) {
+                    local.range.label = local.range.append('text')
+                        .attr('transform', 'rotate(-90,0,0)')
+                        .attr('y', 10)
+                        .attr('x', -1 * local.range.y((local.data.ranges.max - local.data.ranges.min) / 2 + local.data.ranges.min))
+                        .attr('class', 'range-label')
+                        .attr('text-anchor', 'middle')
+                        .text(axisLabel(local.data.ranges));
+                } else {
+                    local.range.label
+                        .transition()
+                        .duration(options.duration)
+                        .attr('x', -1 * local.range.y((local.data.ranges.max - local.data.ranges.min) / 2 + local.data.ranges.min));
+                }
             }
         } else {
-            if (local.mean.label && local.range.label) {
+            if (local.mean.label) {
                 local.mean.label.remove();
                 local.mean.label = undefined;
+            }
 
+            if (local.range && local.range.label) {
                 local.range.label.remove();
                 local.range.label = undefined;
             }
@@ -1201,6 +4007,70 @@ function spc(selector, data, options) {
     pub.histogram = function(selector) {
         local.verbose('Generating histogram of raw data...');
 
+        if (!local.values) {
+            parseData(data);
+        }
+
+        var values = local.rawValues,
+            bins = histogramBins(values),
+            mean = _.mean(values),
+            sigma = sampleStdDev(values),
+            shapiroWilk = ShapiroWilkW(values.slice());
+
+        local.verbose(' - ' + bins.length + ' bins, mean: ' + mean + ', sigma: ' + sigma + ', W: ' + (shapiroWilk && shapiroWilk.w));
+
+        if (selector) {
+            drawHistogram(selector, values, bins, mean, sigma, shapiroWilk);
+        } else {
+            printHistogram(bins, mean, sigma, shapiroWilk);
+        }
+
+        return bins;
+    };
+
+    // Output the normal probability (Q-Q) plot of the data, which shows
+    // how the data departs from a normal distribution.  If a selector is
+    // specified, the plot is drawn within it.  Otherwise the points
+    // outside of the confidence bands are output into the console.
+    pub.probabilityPlot = function(selector) {
+        local.verbose('Generating normal probability plot of raw data...');
+
+        if (!local.values) {
+            parseData(data);
+        }
+
+        var plot = probabilityPoints(local.rawValues);
+
+        if (selector) {
+            drawProbabilityPlot(selector, plot);
+        } else {
+            printProbabilityPlot(plot);
+        }
+
+        return plot;
+    };
+
+    // Suggest the points where the process mean or variance changed.
+    // Each change point includes the `index` and `key` where the new
+    // phase would start, the `type` of change and its p-value.
+    pub.changePoints = function() {
+        if (!local.values) {
+            parseData(data);
+        }
+
+        return changePoints(local.values);
+    };
+
+    // Process capability indices (Cp, Cpk, Pp, Ppk and Cpm) of the
+    // current phase, with the expected parts per million out of
+    // specification and a confidence interval for Cpk.  The chart must
+    // be drawn first, so that the process can be checked for control.
+    pub.capability = function() {
+        if (!local.data || !local.data.means.rules) {
+            throw "Chart must be drawn before analyzing capability.";
+        }
+
+        return capability();
     };
 
     // a basic getter and setter method for options. The
@@ -1247,6 +4117,135 @@ function spc(selector, data, options) {
     };
 
 
+    // Sample (n - 1) standard deviation of an array
+    function sampleStdDev(array) {
+        var mean = _.mean(array),
+            sum = 0;
+
+        for (var i = 0; i < array.length; i++) {
+            sum += Math.pow(array[i] - mean, 2);
+        }
+
+        return Math.sqrt(sum / (array.length - 1));
+    }
+
+
+    // The cumulative distribution function of the standard normal
+    // distribution, using the complementary error function
+    // approximation from Numerical Recipes (erfcc)
+    function normalCDF(x) {
+        var z = Math.abs(x) / Math.SQRT2,
+            t = 1 / (1 + 0.5 * z),
+            erfc = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+                t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+                t * (-0.82215223 + t * 0.17087277)))))))));
+
+        return (x >= 0) ? 1 - erfc / 2 : erfc / 2;
+    }
+
+
+    // Upper tail probability of the Kolmogorov distribution, which is
+    // the limiting distribution of the maximum of a brownian bridge
+    function kolmogorovP(x) {
+        var p = 0;
+
+        if (x < 0.2) {
+            return 1;
+        }
+
+        for (var j = 1; j <= 100; j++) {
+            p += 2 * Math.pow(-1, j - 1) * Math.exp(-2 * j * j * x * x);
+        }
+
+        return Math.max(0, Math.min(1, p));
+    }
+
+
+    // Anderson-Darling test for normality, with the mean and standard
+    // deviation estimated from the data.  The statistic is adjusted for
+    // the sample size and its p-value approximated as in D'Agostino and
+    // Stephens (1986).
+    function andersonDarling(values) {
+        var n = values.length;
+
+        if (n < 8) {
+            return undefined;
+        }
+
+        var sorted = values.slice().sort(function(a, b) {
+                return a - b;
+            }),
+            mean = _.mean(sorted),
+            sigma = sampleStdDev(sorted),
+            small = 1e-15,
+            sum = 0,
+            a, p;
+
+        if (sigma === 0) {
+            return undefined;
+        }
+
+        for (var i = 0; i < n; i++) {
+            var lower = normalCDF((sorted[i] - mean) / sigma),
+                upper = normalCDF((sorted[n - 1 - i] - mean) / sigma);
+
+            sum += (2 * i + 1) * (Math.log(Math.max(lower, small)) + Math.log(Math.max(1 - upper, small)));
+        }
+
+        a = (-n - sum / n) * (1 + 0.75 / n + 2.25 / (n * n));
+
+        if (a >= 0.6) {
+            p = Math.exp(1.2937 - 5.709 * a + 0.0186 * a * a);
+        } else if (a >= 0.34) {
+            p = Math.exp(0.9177 - 4.279 * a - 1.38 * a * a);
+        } else if (a >= 0.2) {
+            p = 1 - Math.exp(-8.318 + 42.796 * a - 59.938 * a * a);
+        } else {
+            p = 1 - Math.exp(-13.436 + 101.14 * a - 223.73 * a * a);
+        }
+
+        return {
+            a: a,
+            p: Math.max(0, Math.min(1, p))
+        };
+    }
+
+
+    // Linearly interpolated quantile of sorted values
+    function quantile(sorted, q) {
+        var position = q * (sorted.length - 1),
+            i = Math.floor(position);
+
+        return sorted[i] + (position - i) * ((sorted[i + 1] !== undefined ? sorted[i + 1] : sorted[i]) - sorted[i]);
+    }
+
+
+    // Natural log of the gamma function, using the Lanczos approximation
+    function lnGamma(x) {
+        var coefficients = [
+                676.5203681218851, -1259.1392167224028, 771.32342877765313,
+                -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+                9.9843695780195716e-6, 1.5056327351493116e-7
+            ],
+            sum = 0.99999999999980993,
+            t;
+
+        // Use the reflection formula for small values
+        if (x < 0.5) {
+            return Math.log(Math.PI / Math.sin(Math.PI * x)) - lnGamma(1 - x);
+        }
+
+        x -= 1;
+        t = x + 7.5;
+
+        for (var i = 0; i < coefficients.length; i++) {
+            sum += coefficients[i] / (x + i + 1);
+        }
+
+        return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+    }
+
+
     /*
      *  Ported from http://svn.r-project.org/R/trunk/src/nmath/qnorm.c
      *
@@ -1352,6 +4351,7 @@ function spc(selector, data, options) {
         return x > 0 ? 1 : -1;
     }
 
+    // Returns the W statistic and its significance level, p
     function ShapiroWilkW(x)
     {
         function poly(cc, nord, x)
@@ -1497,7 +4497,7 @@ function spc(selector, data, options) {
             pw = pi6 * (Math.asin(Math.sqrt(w)) - stqr);
             if (pw < 0.)
                 pw = 0;
-            return w;
+            return { w: w, p: pw };
         }
         y = Math.log(w1);
         xx = Math.log(an);
@@ -1505,7 +4505,7 @@ function spc(selector, data, options) {
             gamma = poly(g, 2, an);
             if (y >= gamma) {
                 pw = 1e-99; /* an "obvious" value, was 'small' which was 1e-19f */
-                return w;
+                return { w: w, p: pw };
             }
             y = -Math.log(gamma - y);
             m = poly(c3, 4, an);
@@ -1515,10 +4515,9 @@ function spc(selector, data, options) {
             s = Math.exp(poly(c6, 3, xx));
         }
 
-        // Oops, we don't have pnorm
-        // pw = pnorm(y, m, s, 0/* upper tail */, 0);
+        pw = 1 - normalCDF((y - m) / s); /* upper tail */
 
-        return w;
+        return { w: w, p: pw };
     }
 
 
@@ -1526,3 +4525,39 @@ function spc(selector, data, options) {
     return pub;
 }
 
+// Custom special cause rules that have been registered, by id
+spc.rules = {};
+
+// Register a custom special cause rule that can be included in the
+// `tests` option by its id.  The rule function is called with the
+// values, the central line, the upper and lower control limit arrays,
+// the sigma of each point and the rule set parameters.  It returns
+// an array of flagged indices, or of `[index, message]` pairs.  The
+// meta object can specify the `name` of the rule and the default
+// `message` for flagged points.  The built-in tests are numbered, so
+// numeric ids (including numeric strings such as '2') are reserved.
+//
+//    spc.registerRule('nearLimit', function(values, CL, UCL, LCL, sigma) {
+//        return ...;
+//    }, { name: 'Near limit', message: 'Point near the control limit.' });
+spc.registerRule = function(id, fn, meta) {
+    if (!id || _.isNumber(id)) {
+        throw "Custom rule id must be a string.";
+    }
+
+    if (isFinite(id)) {
+        throw "Custom rule id clashes with a built-in test.";
+    }
+
+    if (!_.isFunction(fn)) {
+        throw "Custom rule must be a function.";
+    }
+
+    spc.rules[id] = {
+        fn: fn,
+        meta: _.defaults(meta || {}, {
+            name: id,
+            message: 'Point flagged by ' + id + '.'
+        })
+    };
+};
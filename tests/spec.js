@@ -2,19 +2,885 @@
   var jasmineEnv = jasmine.getEnv();
   jasmineEnv.updateInterval = 250;
 
-  var htmlReporter = new jasmine.HtmlReporter();
+  // Expose the spec interface of the environment
+  ['describe', 'xdescribe', 'it', 'xit', 'beforeEach', 'afterEach', 'expect', 'spyOn'].forEach(function(name) {
+    window[name] = function() {
+      return jasmineEnv[name].apply(jasmineEnv, arguments);
+    };
+  });
+
+  var htmlReporter = new jasmine.HtmlReporter({
+    env: jasmineEnv,
+    getContainer: function() {
+      return document.body;
+    },
+    createElement: function() {
+      return document.createElement.apply(document, arguments);
+    },
+    createTextNode: function() {
+      return document.createTextNode.apply(document, arguments);
+    }
+  });
   jasmineEnv.addReporter(htmlReporter);
 
+  var specFilter = new jasmine.HtmlSpecFilter({
+    filterString: function() {
+      var match = window.location.search.match(/[?&]spec=([^&]*)/);
+
+      return match ? decodeURIComponent(match[1]) : '';
+    }
+  });
+
   jasmineEnv.specFilter = function(spec) {
-    return htmlReporter.specFilter(spec);
+    return specFilter.matches(spec.getFullName());
+  };
+
+  // Run once the specs below have been defined
+  window.onload = function() {
+    htmlReporter.initialize();
+    jasmineEnv.execute();
   };
 
-  jasmineEnv.execute();
-  
 })();
 
 describe('Do it', function() {
   it('do it now!', function() {
     return true;
   });
-});
\ No newline at end of file
+});
+
+// Keyed data for a chart, in the order of the values
+function keyed(values) {
+  var data = {};
+
+  values.forEach(function(value, i) {
+    data['k' + i] = value;
+  });
+
+  return data;
+}
+
+// Draw a chart of the data (or of the values, keyed) and return it
+function draw(data, options) {
+  var chart = spc('#chart', _.isArray(data) ? keyed(data) : data, _.extend({
+    verbose: false
+  }, options));
+
+  chart.chart();
+
+  return chart;
+}
+
+// Draw an individuals chart of the values and return it
+function individuals(values, options) {
+  return draw(values, _.extend({
+    chart: 'indivMovingRangeChart',
+    groupSize: 1
+  }, options));
+}
+
+// Each spec draws into its own chart element
+beforeEach(function() {
+  d3.select('body').append('div')
+    .attr('id', 'chart')
+    .style('width', '800px')
+    .style('height', '400px');
+});
+
+afterEach(function() {
+  d3.select('#chart').remove();
+});
+
+// The reference values in the specs below are from SciPy (scipy.stats)
+// or from the published tables of control chart constants, unless
+// they are worked out in the spec itself.
+
+describe('p chart', function() {
+  // Defectives out of each sample, the sixth being four times the size
+  var counts = [2, 5, 3, 8, 4, 50, 6, 3, 5, 4],
+      sizes = [50, 100, 60, 120, 80, 400, 90, 70, 100, 80],
+      data = {};
+
+  counts.forEach(function(count, i) {
+    data['k' + i] = { count: count, size: sizes[i] };
+  });
+
+  it('gives each subgroup binomial limits from its own sample size', function() {
+    // p-bar is 90 / 1150
+    var means = draw(data, { chart: 'pChart', bCount: true }).data().means;
+
+    expect(means.cl).toBeCloseTo(0.078261, 6);
+    expect(means.ul[0]).toBeCloseTo(0.192210, 6);
+    expect(means.ul[5]).toBeCloseTo(0.118548, 6);
+    expect(means.ll[5]).toBeCloseTo(0.037974, 6);
+  });
+
+  it('clamps the lower limits at zero', function() {
+    var means = draw(data, { chart: 'pChart', bCount: true }).data().means;
+
+    expect(means.ll[0]).toEqual(0);
+    expect(means.ll[3]).toBeCloseTo(0.004707, 6);
+  });
+
+  it('tests each point against its own limits', function() {
+    // 0.125 is only beyond the upper limit of the largest sample
+    var means = draw(data, { chart: 'pChart', bCount: true }).data().means;
+
+    expect(means.exceptions).toEqual([[5, 'Point outside of control limits.']]);
+  });
+});
+
+describe('np chart', function() {
+  // Defectives in samples of 50
+  var counts = [3, 5, 2, 8, 4, 6, 1, 7, 3, 15];
+
+  it('gives binomial limits around the average number of defectives', function() {
+    // np-bar is 5.4, so sigma is sqrt(5.4 * 0.892)
+    var means = draw(counts, { chart: 'npChart', bCount: true, bConstant: true, sampleSize: 50 }).data().means;
+
+    expect(means.chart).toEqual('np');
+    expect(means.cl).toBeCloseTo(5.4, 6);
+    expect(means.ul[0]).toBeCloseTo(11.984163, 6);
+    expect(means.ll[0]).toEqual(0);
+    expect(means.exceptions).toEqual([[9, 'Point outside of control limits.']]);
+  });
+
+  it('draws a single panel', function() {
+    var chart = draw(counts, { chart: 'npChart', bCount: true, bConstant: true, sampleSize: 50 });
+
+    expect(chart.data().ranges.values.length).toEqual(0);
+    expect(d3.select('#chart g.range').empty()).toBe(true);
+  });
+
+  it('needs the sample size', function() {
+    expect(function() {
+      draw(counts, { chart: 'npChart', bCount: true, bConstant: true });
+    }).toThrow('Sample size must be set!');
+  });
+});
+
+describe('c chart', function() {
+  // Defects per inspection unit
+  var counts = [3, 5, 2, 8, 4, 6, 1, 7, 3, 15];
+
+  it('gives poisson limits around the average number of defects', function() {
+    // c-bar is 5.4, and c-bar - 3 sqrt(c-bar) is below zero
+    var means = draw(counts, { chart: 'cChart', bCount: true, bDefect: true, bConstant: true }).data().means;
+
+    expect(means.chart).toEqual('c');
+    expect(means.cl).toBeCloseTo(5.4, 6);
+    expect(means.ul[0]).toBeCloseTo(12.371370, 6);
+    expect(means.ll[0]).toEqual(0);
+    expect(means.exceptions).toEqual([[9, 'Point outside of control limits.']]);
+  });
+
+  it('draws a single panel', function() {
+    draw(counts, { chart: 'cChart', bCount: true, bDefect: true, bConstant: true });
+
+    expect(d3.select('#chart g.range').empty()).toBe(true);
+    expect(d3.select('#chart g.average').empty()).toBe(false);
+  });
+});
+
+describe('u chart', function() {
+  // Defects found in each area of opportunity
+  var counts = [2, 5, 3, 8, 4, 50, 6, 3, 5, 4],
+      sizes = [50, 100, 60, 120, 80, 400, 90, 70, 100, 80],
+      data = {};
+
+  counts.forEach(function(count, i) {
+    data['k' + i] = { count: count, size: sizes[i] };
+  });
+
+  it('gives each subgroup poisson limits from its own area of opportunity', function() {
+    // u-bar is 90 / 1150, and u-bar - 3 sqrt(u-bar / 50) is below zero
+    var means = draw(data, { chart: 'uChart', bCount: true, bDefect: true }).data().means;
+
+    expect(means.cl).toBeCloseTo(0.078261, 6);
+    expect(means.ul[0]).toBeCloseTo(0.196949, 6);
+    expect(means.ll[0]).toEqual(0);
+    expect(means.ul[5]).toBeCloseTo(0.120224, 6);
+    expect(means.ll[5]).toBeCloseTo(0.036298, 6);
+  });
+
+  it('tests each point against its own limits', function() {
+    var means = draw(data, { chart: 'uChart', bCount: true, bDefect: true }).data().means;
+
+    expect(means.exceptions).toEqual([[5, 'Point outside of control limits.']]);
+  });
+});
+
+describe('xBar & S chart', function() {
+  it('derives the S chart limits for large subgroups from c4', function() {
+    var values = [], ranges;
+
+    for (var i = 0; i < 500; i++) {
+      values.push(10 + Math.sin(i * 1.7) + Math.cos(i * 0.37));
+    }
+
+    ranges = draw(values, { chart: 'xBarSChart', groupSize: 25 }).data().ranges;
+
+    // B4 and B3 for subgroups of 25
+    expect(ranges.ul[0] / ranges.cl).toBeCloseTo(1.435, 3);
+    expect(ranges.ll[0] / ranges.cl).toBeCloseTo(0.565, 3);
+  });
+});
+
+describe('EWMA chart', function() {
+  // A shift of about 0.8 sigma from point 5 onward
+  var values = [10.2, 9.7, 10.1, 9.9, 10.4, 10.6, 10.8, 10.5, 11.0, 10.9,
+    11.2, 10.7, 11.1, 10.8, 11.3];
+
+  it('widens the limits toward their steady state value', function() {
+    // L sigma sqrt(lambda / (2 - lambda) (1 - (1 - lambda)^2i)), which is
+    // 0.3 at the first point and tends to 0.5
+    var means = individuals(values, {
+      chart: 'ewmaChart',
+      processMean: 10,
+      processSigma: 0.5
+    }).data().means;
+
+    expect(means.cl).toEqual(10);
+    expect(means.values[0]).toBeCloseTo(10.04, 6);
+    expect(means.values[8]).toBeCloseTo(10.469425, 6);
+    expect(means.ul[0]).toBeCloseTo(10.3, 6);
+    expect(means.ul[1]).toBeCloseTo(10.384187, 6);
+    expect(means.ul[14]).toBeCloseTo(10.499690, 6);
+    expect(means.ll[14]).toBeCloseTo(9.500310, 6);
+  });
+
+  it('signals once the weighted average crosses the limits', function() {
+    var means = individuals(values, {
+      chart: 'ewmaChart',
+      processMean: 10,
+      processSigma: 0.5
+    }).data().means;
+
+    expect(_.pluck(means.exceptions, 0)).toEqual([9, 10, 11, 12, 13, 14]);
+  });
+});
+
+describe('CUSUM chart', function() {
+  var values = [10.2, 9.7, 10.1, 9.9, 10.4, 10.6, 10.8, 10.5, 11.0, 10.9,
+    11.2, 10.7, 11.1, 10.8, 11.3];
+
+  it('accumulates the deviations beyond the reference value', function() {
+    // k is 0.25 and h is 2.5
+    var data = individuals(values, {
+      chart: 'cusumChart',
+      processMean: 10,
+      processSigma: 0.5
+    }).data();
+
+    expect(data.means.values[4]).toBeCloseTo(0.15, 6);
+    expect(data.means.values[9]).toBeCloseTo(2.7, 6);
+    expect(data.means.ul[0]).toBeCloseTo(2.5, 6);
+    expect(data.ranges.values[3]).toEqual(0);
+  });
+
+  it('names the direction and estimates where the shift started', function() {
+    // The sum has been rising for 6 points, so the new mean is
+    // 10 + 0.25 + 2.7 / 6
+    var data = individuals(values, {
+      chart: 'cusumChart',
+      processMean: 10,
+      processSigma: 0.5
+    }).data();
+
+    expect(data.means.exceptions[0]).toEqual([9, 'Upward shift in the process mean, estimated to ' +
+      'have started at point 4 (k4) with a new mean of 10.700.']);
+    expect(data.ranges.exceptions).toEqual([]);
+  });
+});
+
+describe('Laney p\' chart', function() {
+  // Large samples that vary between subgroups much more than binomially
+  var counts = [150, 260, 205, 140, 280, 190, 250, 160, 230, 200],
+      sizes = [2000, 2200, 2100, 1900, 2300, 2000, 2250, 1950, 2150, 2050],
+      data = {};
+
+  counts.forEach(function(count, i) {
+    data['k' + i] = { count: count, size: sizes[i] };
+  });
+
+  it('widens the limits by sigma z from the moving range of the z-scores', function() {
+    var means = draw(data, { chart: 'laneyPChart', bCount: true, tests: [1] }).data().means;
+
+    expect(means.chart).toEqual('p\'');
+    expect(means.cl).toBeCloseTo(0.098804, 6);
+    expect(means.sigmaZ).toBeCloseTo(3.655465, 6);
+    expect(means.ul[0]).toBeCloseTo(0.171976, 6);
+    expect(means.ll[0]).toBeCloseTo(0.025632, 6);
+    expect(means.exceptions).toEqual([]);
+  });
+
+  it('is used instead of the p chart for overdispersed data', function() {
+    expect(draw(data, { chart: 'pChart', bCount: true, tests: [1] }).data().means.exceptions.length).toEqual(4);
+
+    spyOn(console, 'log');
+
+    var means = draw(data, { chart: 'pChart', bCount: true, bOverdispersion: true, verbose: true }).data().means;
+
+    expect(means.chart).toEqual('p\'');
+    expect(console.log).toHaveBeenCalledWith(' - Variation between subgroups exceeds the binomial distribution. ' +
+      'Switching to Laney p\' chart.');
+  });
+});
+
+describe('Rare event charts', function() {
+  // Events keyed by date, 10, 20, 5, 15, 30, 10 and 25 days apart
+  var data = {};
+
+  ['2013-01-01', '2013-01-11', '2013-01-31', '2013-02-05', '2013-02-20',
+    '2013-03-22', '2013-04-01', '2013-04-26'].forEach(function(date) {
+    data[date] = 1;
+  });
+
+  it('gives geometric limits to the g chart', function() {
+    // g-bar is 115 / 7, with a sigma of sqrt(g-bar (g-bar + 1))
+    var means = draw(data, { bCount: true, bRare: true }).data().means;
+
+    expect(means.chart).toEqual('g');
+    expect(means.values).toEqual([10, 20, 5, 15, 30, 10, 25]);
+    expect(means.cl).toBeCloseTo(16.428571, 6);
+    expect(means.ul[0]).toBeCloseTo(67.192129, 6);
+    expect(means.ll[0]).toEqual(0);
+  });
+
+  it('transforms the times between events for the t chart', function() {
+    // Individuals limits of the times to the power of 1 / 3.6,
+    // transformed back
+    var means = draw(data, { bCount: true, bRare: true, bTimeBetween: true }).data().means;
+
+    expect(means.chart).toEqual('t');
+    expect(means.cl).toBeCloseTo(14.784633, 6);
+    expect(means.ul[0]).toBeCloseTo(101.423663, 6);
+    expect(means.ll[0]).toBeCloseTo(0.177360, 6);
+  });
+});
+
+describe('Moving average chart', function() {
+  // The average moving range is 2, so sigma is 2 / 1.128 = 1.773
+  var values = [10, 12, 11, 13, 10, 12, 11, 14, 12, 11, 13, 10];
+
+  it('narrows the limits over the warm-up of the span', function() {
+    var data = draw(values, { chart: 'movingXBarRChart', groupSize: 1, movingSpan: 6 }).data();
+
+    // The mean is 11.583, with sigma / sqrt(k) for windows of k points
+    expect(data.means.ul[0]).toBeCloseTo(16.902482, 6);
+    expect(data.means.ul[1]).toBeCloseTo(15.344540, 6);
+    expect(data.means.ul[2]).toBeCloseTo(14.654345, 6);
+
+    // d2(k) sigma for windows of 2 to 6 points
+    expect(data.ranges.phases[0].cl.slice(0, 5).map(function(d) {
+      return d.toFixed(4);
+    })).toEqual(['2.0000', '2.9965', '3.6525', '4.1312', '4.4858']);
+    expect(data.ranges.cl).toBeCloseTo(4.485816, 6);
+  });
+});
+
+describe('Zone rules', function() {
+  // Individuals around a central line of 10 with a sigma of 1 (an
+  // average moving range of 1.128), so each value is its zone
+  function zoned(values, tests) {
+    return individuals(values.map(function(d) {
+      return d + 10;
+    }), { xCL: 10, rCL: 1.128, tests: tests }).data().means.exceptions;
+  }
+
+  it('flags 2 of 3 points beyond 2 sigma on one side', function() {
+    expect(zoned([0.5, -0.5, 2.5, 0.2, 2.2, -0.3, 0.4, -0.6], [5])).toEqual([
+      [2, '2 of 3 points beyond 2 sigma.'],
+      [4, '2 of 3 points beyond 2 sigma.']
+    ]);
+  });
+
+  it('flags 4 of 5 points beyond 1 sigma on one side', function() {
+    expect(zoned([0.5, -0.5, 1.5, 1.2, 0.2, 1.8, 1.1, -0.3, 0.4, -0.6], [6])).toEqual([
+      [2, '4 of 5 points beyond 1 sigma.'],
+      [3, '4 of 5 points beyond 1 sigma.'],
+      [5, '4 of 5 points beyond 1 sigma.'],
+      [6, '4 of 5 points beyond 1 sigma.']
+    ]);
+  });
+
+  it('flags every point of 15 in a row within 1 sigma', function() {
+    var exceptions = zoned([0.5, -0.5, 0.2, -0.2, 0.3, -0.3, 0.1, -0.1, 0.4, -0.4,
+      0.2, -0.2, 0.3, -0.3, 0.1, 2.2, -1.9], [7]);
+
+    expect(_.pluck(exceptions, 0)).toEqual(_.range(15));
+    expect(exceptions[0][1]).toEqual('Stratification: 15 points in a row within 1 sigma.');
+  });
+
+  it('flags every point of 8 in a row beyond 1 sigma on either side', function() {
+    var exceptions = zoned([1.5, -1.5, 1.2, -1.8, 1.4, -1.3, 1.6, -1.1, 0.1, 0.3], [8]);
+
+    expect(_.pluck(exceptions, 0)).toEqual(_.range(8));
+    expect(exceptions[0][1]).toEqual('Mixture: 8 points in a row beyond 1 sigma.');
+  });
+});
+
+describe('Rule sets', function() {
+  // A run of 8 points above the central line, from index 3 to 10
+  var values = [-0.5, 0.5, -0.4, 0.3, 0.4, 0.6, 0.2, 0.5, 0.7, 0.3, 0.4, -0.2, 0.1, -0.3].map(function(d) {
+    return d + 10;
+  });
+
+  function means(options) {
+    return individuals(values, _.extend({ xCL: 10, rCL: 1.128 }, options)).data().means;
+  }
+
+  it('uses the run length of the rule set', function() {
+    expect(_.pluck(means({ rules: 'default' }).exceptions, 0)).toEqual(_.range(3, 11));
+    expect(means({ rules: 'nelson' }).exceptions).toEqual([]);
+    expect(_.pluck(means({ rules: 'aiag' }).exceptions, 0)).toEqual(_.range(3, 11));
+  });
+
+  it('overrides the parameters of the rule set', function() {
+    var set = means({ rules: 'nelson', ruleParams: { runLength: 7 } });
+
+    expect(set.exceptions.length).toEqual(8);
+    expect(set.rules.params.runLength).toEqual(7);
+    expect(set.rules.params.trendLength).toEqual(6);
+  });
+
+  it('records the rules applied to each chart', function() {
+    var data = individuals(values, { rules: 'weco' }).data();
+
+    expect(data.means.rules.name).toEqual('weco');
+    expect(data.means.rules.tests).toEqual([1, 5, 6, 2]);
+    expect(data.ranges.rules.name).toEqual('weco');
+  });
+
+  it('rejects an unknown rule set', function() {
+    expect(function() {
+      individuals(values, { rules: 'western' });
+    }).toThrow('Specified rule set does not exist.');
+  });
+});
+
+describe('Runs test', function() {
+  it('gives the exact p-value for 6 runs of 10 points above and 10 below', function() {
+    var values = [];
+
+    [[11, 3], [9, 4], [11, 3], [9, 3], [11, 4], [9, 3]].forEach(function(run) {
+      for (var i = 0; i < run[1]; i++) {
+        values.push(run[0]);
+      }
+    });
+
+    expect(individuals(values, { tests: [3] }).data().means.exceptions).toEqual([
+      [19, 'Significantly low number of runs found (observed 6, expected 11.0, p = 0.0370).']
+    ]);
+  });
+});
+
+describe('Custom rules', function() {
+  var values = [0.5, -0.5, 2.8, 0.2, 3.8, -0.3, 0.4, -2.9].map(function(d) {
+    return d + 10;
+  });
+
+  // Points within half a sigma of either control limit
+  beforeEach(function() {
+    spc.registerRule('nearLimit', function(values, CL, UCL, LCL, sigma) {
+      return _.filter(_.range(values.length), function(i) {
+        return Math.abs(values[i] - UCL[i]) < sigma[i] / 2 || Math.abs(values[i] - LCL[i]) < sigma[i] / 2;
+      });
+    }, { name: 'Near limit', message: 'Point near the control limit.' });
+  });
+
+  afterEach(function() {
+    delete spc.rules.nearLimit;
+  });
+
+  it('is given the limits and sigma of each point', function() {
+    var args;
+
+    spc.registerRule('spy', function(values, CL, UCL, LCL, sigma, params) {
+      args = [CL, UCL[0], LCL[0], sigma[0], params.runLength];
+    });
+    individuals(values, { xCL: 10, rCL: 1.128, tests: ['spy'] });
+    delete spc.rules.spy;
+
+    expect(args[0]).toEqual(10);
+    expect(args[1]).toBeCloseTo(13.00048, 6);
+    expect(args[2]).toBeCloseTo(6.99952, 6);
+    expect(args[3]).toBeCloseTo(1.00016, 6);
+    expect(args[4]).toEqual(8);
+  });
+
+  it('reports the flagged points with the built-in tests', function() {
+    var means = individuals(values, { xCL: 10, rCL: 1.128, tests: [1, 'nearLimit'] }).data().means;
+
+    expect(means.exceptions).toEqual([
+      [2, 'Point near the control limit.'],
+      [4, 'Point outside of control limits.'],
+      [7, 'Point near the control limit.']
+    ]);
+  });
+
+  it('keeps the numeric ids for the built-in tests', function() {
+    expect(function() {
+      spc.registerRule(2, function() {});
+    }).toThrow('Custom rule id must be a string.');
+    expect(function() {
+      spc.registerRule('2', function() {});
+    }).toThrow('Custom rule id clashes with a built-in test.');
+  });
+});
+
+describe('Sigma zones', function() {
+  var values = [10, 12, 11, 13, 10, 12, 11, 14, 12, 11, 13, 10];
+
+  function count(selector) {
+    return d3.selectAll('#chart ' + selector)[0].length;
+  }
+
+  it('shades five zones and draws four warning lines on each chart', function() {
+    individuals(values, { bZones: true, bWarningLines: true });
+
+    expect(count('path.zone')).toEqual(10);
+    expect(count('path.warning')).toEqual(8);
+  });
+
+  it('removes the zones and warning lines when they are turned off', function() {
+    var chart = individuals(values, { bZones: true, bWarningLines: true });
+
+    chart.option('bZones', false, true);
+    expect(count('path.zone')).toEqual(0);
+    expect(count('path.warning')).toEqual(8);
+
+    chart.option('bWarningLines', false, true);
+    expect(count('path.warning')).toEqual(0);
+  });
+});
+
+describe('Phases', function() {
+  // A shift of 3 at index 22, which doesn't start a subgroup of 5
+  var values = _.range(50).map(function(i) {
+    return i % 7 + (i >= 22 ? 3 : 0);
+  });
+
+  it('establishes the limits of each phase from its own subgroups', function() {
+    var means = draw(values, { chart: 'xBarRChart', groupSize: 5, phases: [22] }).data().means;
+
+    // Phase 1 has R-bar 5 and phase 2 has R-bar 4.8, with A2 = 0.58
+    expect(means.phases[0].cl).toBeCloseTo(2.85, 6);
+    expect(means.phases[1].cl).toBeCloseTo(5.92, 6);
+    expect(means.ul[0]).toBeCloseTo(5.75, 6);
+    expect(means.ul[4]).toBeCloseTo(8.704, 6);
+  });
+
+  it('leaves out the incomplete subgroup at the end of each phase', function() {
+    var data = draw(values, { chart: 'xBarRChart', groupSize: 5, phases: [22] }).data();
+
+    expect(data.means.n).toEqual(9);
+    expect(_.pluck(data.ranges.phases, 'start')).toEqual([0, 4]);
+  });
+});
+
+describe('Change points', function() {
+  // The same noise around 10 and then, reversed, around 11
+  var noise = [0.3, -0.2, 0.1, -0.4, 0.2, 0.0, -0.1, 0.4, -0.3, 0.2,
+      0.1, -0.2, 0.3, -0.1, 0.0, -0.3, 0.2, 0.1, -0.2, 0.0],
+      values = noise.map(function(d) {
+        return 10 + d;
+      }).concat(noise.slice().reverse().map(function(d) {
+        return 11 + d;
+      }));
+
+  it('finds the shift in mean with its p-value', function() {
+    // The largest cusum statistic is 4.830379 at the shift, and the p-value
+    // is from the Kolmogorov distribution (scipy.stats.kstwobign)
+    var found = spc('#chart', keyed(values), { verbose: false }).changePoints();
+
+    expect(found.length).toEqual(1);
+    expect(found[0].index).toEqual(20);
+    expect(found[0].key).toEqual('k20');
+    expect(found[0].type).toEqual('mean');
+    expect(found[0].p / 1.082988e-20).toBeCloseTo(1, 5);
+  });
+
+  it('finds no change in a stable process', function() {
+    expect(spc('#chart', keyed(values.slice(0, 20)), { verbose: false }).changePoints()).toEqual([]);
+  });
+
+  it('recalculates the limits from each change when asked', function() {
+    var means = individuals(values, { bAutoPhases: true }).data().means;
+
+    expect(_.pluck(means.phases, 'start')).toEqual([0, 20]);
+    expect(means.phases[0].cl).toBeCloseTo(10.005, 6);
+    expect(means.phases[1].cl).toBeCloseTo(11.005, 6);
+  });
+});
+
+describe('Excluded points', function() {
+  var values = [10, 12, 11, 13, 10, 12, 11, 40, 12, 11, 13, 10];
+
+  // Without the value of 40 and the two moving ranges on either side
+  // of it, the mean is 11.364 and the average moving range 1.889
+  function expectLimits(data) {
+    expect(data.means.excluded).toEqual([7]);
+    expect(data.ranges.excluded).toEqual([6, 7]);
+    expect(data.means.cl).toBeCloseTo(11.363636, 6);
+    expect(data.ranges.cl).toBeCloseTo(1.888889, 6);
+    expect(data.means.ul[0]).toBeCloseTo(16.388081, 6);
+    expect(data.means.ll[0]).toBeCloseTo(6.339192, 6);
+  }
+
+  it('leaves excluded points out of the limits', function() {
+    expectLimits(individuals(values, { exclude: ['k7'] }).data());
+  });
+
+  it('excludes the points outside of the limits when recalculating', function() {
+    expectLimits(individuals(values, { bRecalculate: true }).data());
+  });
+
+  it('rejects phases without any points to establish the limits', function() {
+    expect(function() {
+      individuals(values, { phases: [11] });
+    }).toThrow('Phase 2 is too short to establish its limits.');
+
+    expect(function() {
+      individuals(values, { phases: [10], exclude: [10, 11] });
+    }).toThrow('Every point of phase 2 is excluded from the limits.');
+
+    expect(function() {
+      individuals(values, { exclude: [12] });
+    }).toThrow('Specified excluded point does not exist.');
+  });
+});
+
+describe('Specification limits', function() {
+  var values = [10.2, 9.8, 10.1, 10.4, 9.7, 10.0, 10.3, 9.9, 10.1, 9.6,
+    10.2, 10.0, 9.8, 10.3, 12.5, 9.9, 10.0, 10.2, 9.7, 10.1];
+
+  it('flags the points outside of specification apart from special causes', function() {
+    // 10.4 is within the control limits but above the USL, and 12.5
+    // is outside of both
+    var means = individuals(values, { usl: 10.35, lsl: 9, tests: [1] }).data().means;
+
+    expect(means.exceptions).toEqual([
+      [3, 'Point outside of specification limits.', 'spec'],
+      [14, 'Point outside of control limits.'],
+      [14, 'Point outside of specification limits.', 'spec']
+    ]);
+  });
+
+  it('counts the values of a subgroup outside of specification', function() {
+    // The second subgroup has a mean of 10.06, within specification
+    var means = draw(values, { chart: 'xBarRChart', groupSize: 5, usl: 10.35, tests: [1] }).data().means;
+
+    expect(means.exceptions).toEqual([
+      [0, '1 value(s) outside of specification limits.', 'spec'],
+      [2, '1 value(s) outside of specification limits.', 'spec']
+    ]);
+  });
+
+  it('draws the specification limits and target', function() {
+    individuals(values, { usl: 11, lsl: 9 });
+
+    expect(d3.selectAll('#chart g.spec.benchmark')[0].length).toEqual(2);
+    expect(d3.select('#chart g.spec.target').empty()).toBe(true);
+
+    d3.select('#chart').html('');
+    individuals(values, { usl: 11, target: 10 });
+
+    expect(d3.selectAll('#chart g.spec.benchmark')[0].length).toEqual(1);
+    expect(d3.select('#chart g.spec.target').empty()).toBe(false);
+  });
+});
+
+describe('Capability', function() {
+  var values = [10.2, 9.8, 10.1, 10.4, 9.7, 10.0, 10.3, 9.9, 10.1, 9.6,
+    10.2, 10.0, 9.8, 10.3, 10.1, 9.9, 10.0, 10.2, 9.7, 10.1];
+
+  it('matches the indices from the moving range and sample sigma', function() {
+    var capability = individuals(values, {
+      usl: 11,
+      lsl: 9,
+      target: 10,
+      bForceCapability: true
+    }).capability();
+
+    expect(capability.n).toEqual(20);
+    expect(capability.mean).toBeCloseTo(10.02, 6);
+    expect(capability.sigmaWithin).toBeCloseTo(0.303285, 6);
+    expect(capability.sigmaOverall).toBeCloseTo(0.221478, 6);
+    expect(capability.cp).toBeCloseTo(1.099077, 6);
+    expect(capability.cpk).toBeCloseTo(1.077095, 6);
+    expect(capability.pp).toBeCloseTo(1.505038, 6);
+    expect(capability.ppk).toBeCloseTo(1.474938, 6);
+    expect(capability.cpm).toBeCloseTo(1.498939, 6);
+    expect(capability.cpkInterval[0]).toBeCloseTo(0.704777, 6);
+    expect(capability.cpkInterval[1]).toBeCloseTo(1.449413, 6);
+    expect(capability.ppm.within).toBeCloseTo(1001.43, 2);
+  });
+});
+
+describe('Transformations', function() {
+  // exp(1 + 0.6 z) at the normal plotting positions, rounded
+  var lognormal = [0.8, 1.03, 1.2, 1.34, 1.47, 1.59, 1.71, 1.82, 1.93, 2.05,
+    2.16, 2.28, 2.4, 2.52, 2.65, 2.79, 2.93, 3.08, 3.24, 3.42,
+    3.61, 3.82, 4.06, 4.33, 4.64, 5.03, 5.5, 6.15, 7.14, 9.25];
+
+  it('fits the Box-Cox lambda by maximum likelihood', function() {
+    // SciPy fits lambda = 0.000741, so the central line is the
+    // back-transformed mean of the logs
+    var data = individuals(lognormal, { transform: 'boxcox' }).data();
+
+    expect(data.means.cl).toBeCloseTo(2.718000, 5);
+    expect(data.normality.bNormal).toBe(true);
+  });
+
+  it('fits a Johnson transformation that makes skewed data normal', function() {
+    var chart = individuals(lognormal, { transform: 'johnson', usl: 12, bForceCapability: true });
+
+    expect(individuals(lognormal).data().normality.bNormal).toBe(false);
+    expect(chart.data().normality.bNormal).toBe(true);
+    expect(chart.capability().transform).toMatch(/^Johnson S[BLU]$/);
+  });
+
+  it('refits the transformation to new data', function() {
+    var chart = individuals(lognormal, { transform: 'boxcox' }),
+        squares = lognormal.map(function(d) {
+          return d * d;
+        });
+
+    chart.data(keyed(squares));
+
+    var plot = chart.probabilityPlot();
+
+    expect(plot.points[0].value).toBeCloseTo(0.64, 10);
+    expect(plot.mean).toBeCloseTo(_.mean(squares), 10);
+    expect(chart.histogram().length).toBeGreaterThan(0);
+  });
+
+  it('suggests the same change points before and after charting', function() {
+    var chart = spc('#chart', keyed(lognormal), { transform: 'boxcox', verbose: false }),
+        before = chart.changePoints();
+
+    chart.chart();
+
+    expect(chart.changePoints()).toEqual(before);
+  });
+});
+
+describe('Histogram', function() {
+  var values = [10.2, 9.8, 10.1, 10.4, 9.7, 10.0, 10.3, 9.9, 10.1, 9.6,
+    10.2, 10.0, 9.8, 10.3, 10.1, 9.9, 10.0, 10.2, 9.7, 10.1];
+
+  function histogram(options, selector) {
+    return spc('#chart', keyed(values), _.extend({ verbose: false }, options)).histogram(selector);
+  }
+
+  it('matches the Freedman-Diaconis and Sturges bins of NumPy', function() {
+    // numpy.histogram_bin_edges(values, 'fd') and (values, 'sturges')
+    var fd = histogram({}),
+        sturges = histogram({ binMethod: 'sturges' });
+
+    expect(_.pluck(fd, 'count')).toEqual([3, 4, 7, 6]);
+    expect(fd[0].x0).toBeCloseTo(9.6, 10);
+    expect(fd[3].x1).toBeCloseTo(10.4, 10);
+    expect(_.pluck(sturges, 'count')).toEqual([3, 2, 2, 7, 3, 3]);
+    expect(sturges[1].x0).toBeCloseTo(9.733333, 6);
+  });
+
+  it('uses the bins given in the options', function() {
+    expect(_.pluck(histogram({ bins: [10.5, 9.5, 10] }), 'count')).toEqual([7, 13]);
+    expect(histogram({ bins: 2 }).length).toEqual(2);
+  });
+
+  it('draws the fitted normal curve, markers and Shapiro-Wilk W', function() {
+    histogram({ usl: 10.5, lsl: 9.5 }, '#chart');
+
+    expect(d3.selectAll('#chart rect.column')[0].length).toEqual(4);
+    expect(d3.select('#chart path.normal').empty()).toBe(false);
+    expect(d3.selectAll('#chart line.marker')[0].length).toEqual(3);
+    expect(d3.selectAll('#chart g.benchmark')[0].length).toEqual(2);
+    expect(d3.select('#chart text.normality').text()).toEqual('Shapiro-Wilk W = 0.966, p = 0.678');
+  });
+
+  it('prints the histogram into the console without a selector', function() {
+    spyOn(console, 'log');
+    histogram({ usl: 10.5 });
+
+    expect(console.log).toHaveBeenCalledWith('[10.00, 10.20) | ' + new Array(51).join('#') + ' 7');
+    expect(console.log).toHaveBeenCalledWith('USL: 10.50');
+    expect(console.log).toHaveBeenCalledWith('Shapiro-Wilk W: 0.966, p: 0.678');
+  });
+});
+
+describe('Normal probability plot', function() {
+  var values = [10.2, 9.8, 10.1, 10.4, 9.7, 10.0, 10.3, 9.9, 10.1, 9.6,
+    10.2, 10.0, 9.8, 10.3, 10.1, 9.9, 10.0, 10.2, 9.7, 10.1];
+
+  function plot(data, selector) {
+    return spc('#chart', keyed(data), { verbose: false }).probabilityPlot(selector);
+  }
+
+  it('gives the Blom quantiles and confidence bands of the sorted values', function() {
+    // scipy.stats.norm.ppf((i - 0.375) / (n + 0.25)), with a standard
+    // error of sigma / pdf(q) sqrt(p (1 - p) / n) for each band
+    var points = plot(values).points;
+
+    expect(points[0].value).toEqual(9.6);
+    expect(points[0].quantile).toBeCloseTo(-1.868242, 6);
+    expect(points[0].expected).toBeCloseTo(9.606225, 6);
+    expect(points[0].lower).toBeCloseTo(9.365241, 6);
+    expect(points[0].upper).toBeCloseTo(9.847209, 6);
+    expect(points[9].expected).toBeCloseTo(10.006283, 6);
+    expect(points[19].upper).toBeCloseTo(10.674759, 6);
+  });
+
+  it('includes the normality test statistic', function() {
+    // scipy.stats.shapiro gives W = 0.966409 and p = 0.677984
+    var normality = plot(values).normality;
+
+    expect(normality.statistic).toBeCloseTo(0.966409, 6);
+    expect(normality.p).toBeCloseTo(0.677984, 5);
+  });
+
+  it('draws the points with the reference line and bands', function() {
+    plot(values, '#chart');
+
+    expect(d3.selectAll('#chart circle')[0].length).toEqual(20);
+    expect(d3.select('#chart path.cl').empty()).toBe(false);
+    expect(d3.selectAll('#chart path.band')[0].length).toEqual(2);
+  });
+
+  it('prints the points of skewed data outside of the bands', function() {
+    var skewed = [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 4, 6, 9, 15],
+        outside = _.filter(plot(skewed).points, function(d) {
+          return d.value < d.lower || d.value > d.upper;
+        });
+
+    spyOn(console, 'log');
+    plot(skewed);
+
+    expect(outside.length).toBeGreaterThan(0);
+    expect(console.log).toHaveBeenCalledWith(outside.length + ' of 20 point(s) outside of the confidence bands.');
+  });
+});
+
+describe('Normality tests', function() {
+  // Royston (1995), as used for the AS R94 algorithm
+  var weights = [148, 154, 158, 160, 161, 162, 166, 170, 182, 195, 236];
+
+  it('matches the Shapiro-Wilk W and p-value', function() {
+    var normality = individuals(weights).data().normality;
+
+    expect(normality.test).toEqual('W');
+    expect(normality.statistic).toBeCloseTo(0.788815, 5);
+    expect(normality.p).toBeCloseTo(0.006704, 5);
+    expect(normality.bNormal).toBe(false);
+  });
+
+  it('matches the adjusted Anderson-Darling statistic and p-value', function() {
+    var normality = individuals(weights, { normalityTest: 'anderson-darling' }).data().normality;
+
+    expect(normality.test).toEqual('A2');
+    expect(normality.statistic).toBeCloseTo(1.028930, 5);
+    expect(normality.p).toBeCloseTo(0.010454, 5);
+  });
+});